@@ -0,0 +1,32 @@
+// Movement abilities a level unlocks through config.abilities, the way useBalls / ballLimit work for throwing:
+//
+//   abilities: { doubleJump: true, dash: { limit: 3 }, groundPound: { cooldown: 2 } }
+//
+// `true` enables an ability with its defaults, an object can override `cooldown` (seconds) and `limit`
+// (uses per run, unlimited when left out). Abilities a level doesn't list stay locked. `action` is the
+// control binding (see bindings.js) that triggers an ability, shown on its HUD slot.
+
+export const ABILITIES = {
+  doubleJump: { label: 'Double Jump', icon: '⇈', action: 'jump', cooldown: 0 },
+  dash: { label: 'Air Dash', icon: '»', action: 'dash', cooldown: 1 },
+  groundPound: { label: 'Ground Pound', icon: '⤋', action: 'groundPound', cooldown: 1.5 }
+};
+
+// Per-run state for each unlocked ability: { cooldown, limit, used, timer }
+export function createAbilityStates(config = {}) {
+  const states = {};
+  Object.entries(config).forEach(([name, options]) => {
+    const ability = ABILITIES[name];
+    // Unknown names are reported by the level loader
+    if (!ability || !options) return;
+
+    const settings = options === true ? {} : options;
+    states[name] = {
+      cooldown: settings.cooldown ?? ability.cooldown,
+      limit: settings.limit ?? null,
+      used: 0,
+      timer: 0
+    };
+  });
+  return states;
+}
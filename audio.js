@@ -0,0 +1,270 @@
+// Web Audio sound manager shared by the page and the Game (`audio` below). Everything plays through one of
+// three buses - music, sfx and ui - into a master gain, with volumes from the settings screen.
+//
+// Effects are listed in SOUNDS and decoded once by preload(), files shared between entries only once.
+// Each play() starts a fresh source on the cached buffer, at most `voices` at a time per sound (the oldest
+// is cut off). Positional sounds go through a panner placed in the world, heard from the listener set by
+// setListener() (the Game's camera). Music streams from a media element and is ducked during levels.
+//
+// The AudioContext is created by unlock(), which has to run in a user gesture. Until then, and in
+// browsers without Web Audio, every call is silently ignored.
+
+export const SOUNDS = {
+  click: { src: 'sound/buttonClick.mp3', bus: 'ui' },
+  start: { src: 'sound/startBtn.mp3', bus: 'ui' },
+  star: { src: 'sound/startBtn.mp3', bus: 'ui', volume: 0.6 },
+  checkpoint: { src: 'sound/startBtn.mp3', bus: 'sfx', volume: 0.6 },
+  targetHit: { src: 'sound/buttonClick.mp3', bus: 'sfx', volume: 0.6 },
+  collect: { src: 'sound/buttonClick.mp3', bus: 'sfx', volume: 0.6 },
+  levelCompleted: { src: 'sound/levelCompleted.mp3', bus: 'sfx' },
+  footsteps: { src: 'sound/walking.mp3', bus: 'sfx', voices: 1 },
+  // No recordings for these yet, they are synthesized
+  footstepsIce: {
+    generate: context => createFootstepsBuffer(context, { interval: 0.3, decay: 0.04, frequency: 2400, noise: 0.8, lowpass: 1 }),
+    bus: 'sfx', voices: 1
+  },
+  footstepsMud: {
+    generate: context => createFootstepsBuffer(context, { interval: 0.42, decay: 0.16, frequency: 140, toFrequency: 60, noise: 0.6, lowpass: 0.08 }),
+    bus: 'sfx', voices: 1
+  },
+  footstepsBounce: {
+    generate: context => createFootstepsBuffer(context, { interval: 0.32, decay: 0.12, frequency: 180, toFrequency: 520, noise: 0.15, lowpass: 0.3 }),
+    bus: 'sfx', voices: 1
+  },
+  jump: { generate: context => createSweepBuffer(context, 0.15, 280, 620), bus: 'sfx', volume: 0.35 },
+  land: { generate: context => createImpactBuffer(context, 0.18, 90, 0.5), bus: 'sfx', volume: 0.8 },
+  shockwave: { generate: context => createImpactBuffer(context, 0.6, 55, 0.8), bus: 'sfx', voices: 6 }
+};
+
+export const MUSIC_SRC = 'sound/bgSound.mp3';
+
+const DEFAULT_VOICES = 4;
+const DUCKED_MUSIC = 0.35; // Music level while a level is played
+const DUCK_TIME = 0.4; // Seconds to fade in and out of ducking
+
+function createSweepBuffer(context, duration, fromFrequency, toFrequency) {
+  const buffer = context.createBuffer(1, Math.ceil(context.sampleRate * duration), context.sampleRate);
+  const data = buffer.getChannelData(0);
+  let phase = 0;
+  for (let i = 0; i < data.length; i++) {
+    const t = i / context.sampleRate;
+    phase += 2 * Math.PI * (fromFrequency + (toFrequency - fromFrequency) * t / duration) / context.sampleRate;
+    data[i] = Math.sin(phase) * Math.exp(-t * 18);
+  }
+  return buffer;
+}
+
+// Low sine thump with a burst of noise on top, `noise` is the noise share
+function createImpactBuffer(context, duration, frequency, noise) {
+  const buffer = context.createBuffer(1, Math.ceil(context.sampleRate * duration), context.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) {
+    const t = i / context.sampleRate;
+    const envelope = Math.exp(-t * 6 / duration);
+    const tone = Math.sin(2 * Math.PI * frequency * t * (1 - t / duration * 0.5));
+    data[i] = envelope * ((1 - noise) * tone + noise * (Math.random() * 2 - 1) * Math.exp(-t * 20 / duration));
+  }
+  return buffer;
+}
+
+// A loop of two footsteps `interval` seconds apart. Each step is a tone sliding from `frequency` to
+// `toFrequency` with a burst of noise on top (`noise` is its share), `lowpass` (0-1, 1 is unfiltered)
+// darkens the noise and `decay` is how fast a step dies away in seconds.
+function createFootstepsBuffer(context, { interval, decay, frequency, toFrequency = frequency, noise, lowpass }) {
+  const stepLength = Math.ceil(context.sampleRate * interval);
+  const buffer = context.createBuffer(1, stepLength * 2, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let step = 0; step < 2; step++) {
+    // The second step a little softer, so the loop doesn't sound mechanical
+    const level = step === 0 ? 1 : 0.8;
+    let phase = 0;
+    let filtered = 0;
+    for (let i = 0; i < stepLength; i++) {
+      const t = i / context.sampleRate;
+      const progress = Math.min(1, t / (decay * 4));
+      phase += 2 * Math.PI * (frequency + (toFrequency - frequency) * progress) / context.sampleRate;
+      filtered += lowpass * ((Math.random() * 2 - 1) - filtered);
+      const envelope = Math.exp(-t / decay) * Math.min(1, t * 2000); // 0.5ms attack avoids a click
+      data[step * stepLength + i] = level * envelope * ((1 - noise) * Math.sin(phase) + noise * filtered);
+    }
+  }
+  return buffer;
+}
+
+class AudioManager {
+  constructor() {
+    this.context = null;
+    this.buffers = new Map(); // src or sound name -> AudioBuffer
+    this.voices = {}; // sound name -> playing sources, oldest first
+    this.volumes = { master: 1, music: 0.5, sfx: 1, ui: 1 };
+    this.ducked = false;
+    this.music = null; // { element, source }
+    this.preloading = null;
+  }
+
+  // Creates (or resumes) the AudioContext and starts loading every sound, resolves once they are ready
+  unlock() {
+    if (typeof AudioContext === 'undefined') return Promise.resolve();
+    if (!this.context) {
+      this.context = new AudioContext();
+      this.master = this.context.createGain();
+      this.master.connect(this.context.destination);
+      this.buses = {};
+      ['music', 'sfx', 'ui'].forEach(name => {
+        this.buses[name] = this.context.createGain();
+        this.buses[name].connect(this.master);
+      });
+      this.duck = this.context.createGain();
+      this.duck.gain.value = this.ducked ? DUCKED_MUSIC : 1;
+      this.duck.connect(this.buses.music);
+      this.applyVolumes();
+    }
+    if (this.context.state === 'suspended') {
+      this.context.resume().catch(err => console.log('Audio resume failed:', err));
+    }
+    if (!this.preloading) this.preloading = this.preload();
+    return this.preloading;
+  }
+
+  preload() {
+    const loads = Object.entries(SOUNDS).map(([name, sound]) => {
+      if (sound.generate) {
+        this.buffers.set(name, sound.generate(this.context));
+        return null;
+      }
+      if (this.buffers.has(sound.src)) return null;
+      this.buffers.set(sound.src, null); // Loading
+      return fetch(sound.src)
+        .then(response => response.arrayBuffer())
+        .then(data => this.context.decodeAudioData(data))
+        .then(buffer => this.buffers.set(sound.src, buffer))
+        .catch(err => console.log('Sound load failed:', sound.src, err));
+    });
+    return Promise.all(loads);
+  }
+
+  getBuffer(name) {
+    const sound = SOUNDS[name];
+    if (!sound) return null;
+    return this.buffers.get(sound.generate ? name : sound.src) || null;
+  }
+
+  // options: volume, rate, position (THREE.Vector3 for a positional sound), loop
+  play(name, options = {}) {
+    if (!this.context) return null;
+    const buffer = this.getBuffer(name);
+    if (!buffer) return null;
+    const sound = SOUNDS[name];
+
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = Boolean(options.loop);
+    source.playbackRate.value = options.rate ?? 1;
+
+    const gain = this.context.createGain();
+    gain.gain.value = (sound.volume ?? 1) * (options.volume ?? 1);
+    source.connect(gain);
+
+    let output = gain;
+    if (options.position) {
+      const panner = this.context.createPanner();
+      panner.panningModel = 'HRTF';
+      panner.distanceModel = 'inverse';
+      panner.refDistance = 4;
+      panner.maxDistance = 80;
+      panner.positionX.value = options.position.x;
+      panner.positionY.value = options.position.y;
+      panner.positionZ.value = options.position.z;
+      gain.connect(panner);
+      output = panner;
+    }
+    output.connect(this.buses[sound.bus]);
+
+    const voices = this.voices[name] || (this.voices[name] = []);
+    if (voices.length >= (sound.voices || DEFAULT_VOICES)) voices.shift().stop();
+    voices.push(source);
+    source.onended = () => {
+      const index = voices.indexOf(source);
+      if (index !== -1) voices.splice(index, 1);
+      output.disconnect();
+    };
+    source.start();
+    return source;
+  }
+
+  // A looping sound that can be started and stopped repeatedly (footsteps)
+  createLoop(name, options = {}) {
+    let source = null;
+    return {
+      start: () => {
+        if (!source) source = this.play(name, { ...options, loop: true });
+      },
+      stop: () => {
+        if (source) source.stop();
+        source = null;
+      },
+      isPlaying: () => source !== null
+    };
+  }
+
+  // Places the listener at the camera, facing where it looks
+  setListener(camera) {
+    if (!this.context) return;
+    const listener = this.context.listener;
+    const e = camera.matrixWorld.elements;
+    const time = this.context.currentTime;
+    listener.positionX.setValueAtTime(e[12], time);
+    listener.positionY.setValueAtTime(e[13], time);
+    listener.positionZ.setValueAtTime(e[14], time);
+    listener.forwardX.setValueAtTime(-e[8], time);
+    listener.forwardY.setValueAtTime(-e[9], time);
+    listener.forwardZ.setValueAtTime(-e[10], time);
+    listener.upX.setValueAtTime(e[4], time);
+    listener.upY.setValueAtTime(e[5], time);
+    listener.upZ.setValueAtTime(e[6], time);
+  }
+
+  playMusic() {
+    if (!this.context) return;
+    if (!this.music) {
+      const element = new Audio(MUSIC_SRC);
+      element.loop = true;
+      const source = this.context.createMediaElementSource(element);
+      source.connect(this.duck);
+      this.music = { element, source };
+    }
+    this.music.element.play().catch(err => console.log('BG music play failed:', err));
+  }
+
+  stopMusic() {
+    if (this.music) this.music.element.pause();
+  }
+
+  // Turns the music down while a level is played
+  setDucked(ducked) {
+    this.ducked = ducked;
+    if (!this.context) return;
+    this.duck.gain.setTargetAtTime(ducked ? DUCKED_MUSIC : 1, this.context.currentTime, DUCK_TIME / 3);
+  }
+
+  // settings: see settings.js
+  setVolumes(settings) {
+    this.volumes = {
+      master: settings.masterVolume,
+      music: settings.musicVolume,
+      sfx: settings.sfxVolume,
+      ui: settings.uiVolume
+    };
+    this.applyVolumes();
+  }
+
+  applyVolumes() {
+    if (!this.context) return;
+    this.master.gain.value = this.volumes.master;
+    Object.entries(this.buses).forEach(([name, bus]) => {
+      bus.gain.value = this.volumes[name];
+    });
+  }
+}
+
+export const audio = new AudioManager();
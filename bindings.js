@@ -0,0 +1,112 @@
+import { GAMEPAD_BUTTON_LABELS } from './gamepad.js';
+import { getProfile, writeSave } from './saveData.js';
+
+// Player actions and what triggers them. Every action has two keyboard/mouse slots and a gamepad slot, each
+// holding one binding (or null):
+//
+//   keyboard  the KeyboardEvent.code, so 'KeyW' is the same physical key on QWERTY and AZERTY
+//   mouse     'Mouse0' left, 'Mouse1' middle, 'Mouse2' right button
+//   gamepad   'Pad0' ... button index in the standard mapping (see gamepad.js)
+//
+// Bindings are kept per profile (saveData.js). Actions added later get their defaults in saves made before
+// they existed. Movement on the sticks and touch controls is not rebindable.
+export const ACTIONS = {
+  forward: { label: 'Move Forward', primary: 'KeyW', secondary: null, gamepad: null },
+  back: { label: 'Move Back', primary: 'KeyS', secondary: null, gamepad: null },
+  left: { label: 'Move Left', primary: 'KeyA', secondary: null, gamepad: null },
+  right: { label: 'Move Right', primary: 'KeyD', secondary: null, gamepad: null },
+  jump: { label: 'Jump', primary: 'Space', secondary: null, gamepad: 'Pad0' },
+  crouch: { label: 'Crouch / Slide', primary: 'KeyC', secondary: null, gamepad: 'Pad1' },
+  dash: { label: 'Air Dash', primary: 'ShiftLeft', secondary: null, gamepad: 'Pad2' },
+  groundPound: { label: 'Ground Pound', primary: 'KeyQ', secondary: null, gamepad: 'Pad3' },
+  grapple: { label: 'Grapple', primary: 'KeyE', secondary: 'Mouse2', gamepad: 'Pad4' },
+  throw: { label: 'Throw Ball', primary: 'Mouse0', secondary: null, gamepad: 'Pad7' },
+  pause: { label: 'Pause', primary: 'KeyP', secondary: null, gamepad: 'Pad9' }
+};
+
+export const BINDING_SLOTS = ['primary', 'secondary', 'gamepad'];
+
+export function getDefaultBindings() {
+  const bindings = {};
+  Object.entries(ACTIONS).forEach(([action, defaults]) => {
+    bindings[action] = { primary: defaults.primary, secondary: defaults.secondary, gamepad: defaults.gamepad };
+  });
+  return bindings;
+}
+
+export function loadBindings() {
+  const bindings = getDefaultBindings();
+  const savedBindings = getProfile().bindings;
+  Object.keys(bindings).forEach(action => {
+    if (!savedBindings[action]) return;
+    BINDING_SLOTS.forEach(slot => {
+      const binding = savedBindings[action][slot];
+      if (binding === null || typeof binding === 'string') bindings[action][slot] = binding;
+    });
+  });
+  return bindings;
+}
+
+export function saveBindings(bindings) {
+  getProfile().bindings = bindings;
+  writeSave();
+}
+
+export function resetBindings() {
+  getProfile().bindings = {};
+  writeSave();
+  return getDefaultBindings();
+}
+
+export function isGamepadBinding(binding) {
+  return typeof binding === 'string' && binding.startsWith('Pad');
+}
+
+// Button index of a gamepad binding, -1 for anything else
+export function getGamepadButton(binding) {
+  return isGamepadBinding(binding) ? parseInt(binding.slice(3), 10) : -1;
+}
+
+// The action and slot already using `binding`, if any
+export function findConflict(bindings, binding, exceptAction, exceptSlot) {
+  for (const [action, slots] of Object.entries(bindings)) {
+    for (const slot of BINDING_SLOTS) {
+      if (action === exceptAction && slot === exceptSlot) continue;
+      if (slots[slot] === binding) return { action, slot };
+    }
+  }
+  return null;
+}
+
+// Puts `binding` in an action's slot. A binding can only trigger one action: when another slot already has
+// it, that slot gets this slot's old binding instead. Returns the conflict that was swapped, or null.
+export function assignBinding(bindings, action, slot, binding) {
+  const conflict = binding ? findConflict(bindings, binding, action, slot) : null;
+  if (conflict) bindings[conflict.action][conflict.slot] = bindings[action][slot];
+  bindings[action][slot] = binding;
+  return conflict;
+}
+
+const MOUSE_LABELS = ['Left Click', 'Middle Click', 'Right Click'];
+
+// Readable name of a binding. `layout` is an optional KeyboardLayoutMap that turns key codes into the
+// characters printed on the player's keyboard.
+export function getBindingLabel(binding, layout = null) {
+  if (!binding) return '—';
+  if (binding.startsWith('Mouse')) {
+    const button = parseInt(binding.slice(5), 10);
+    return MOUSE_LABELS[button] || `Mouse ${button + 1}`;
+  }
+  if (isGamepadBinding(binding)) {
+    const button = getGamepadButton(binding);
+    return GAMEPAD_BUTTON_LABELS[button] || `Button ${button}`;
+  }
+
+  const character = layout && layout.get(binding);
+  if (character && character.trim()) return character.toUpperCase();
+  return binding
+    .replace(/^Key|^Digit/, '')
+    .replace(/^Arrow/, '')
+    .replace(/^(.+)Left$/, 'L $1')
+    .replace(/^(.+)Right$/, 'R $1');
+}
@@ -1,6 +1,16 @@
 import * as THREE from 'three';
 import { Octree } from 'three/addons/math/Octree.js';
 import { Capsule } from 'three/addons/math/Capsule.js';
+import { evaluateMissions, countStars, getMaxStars } from './missions.js';
+import { Ghost, GhostRecorder } from './ghost.js';
+import { ReplayRecorder, ReplayPlayer, TICK_RATE, STEPS_PER_TICK, hashConfig } from './replay.js';
+import { createAbilityStates } from './abilities.js';
+import { MovingPlatform } from './platforms.js';
+import { SURFACES } from './surfaces.js';
+import { GamepadInput, LOOK_SPEED } from './gamepad.js';
+import { loadBindings, getGamepadButton } from './bindings.js';
+import { loadSettings } from './settings.js';
+import { audio } from './audio.js';
 
 export class Game {
   constructor(scene, camera, renderer, config = {}) {
@@ -13,15 +23,27 @@ export class Game {
     this.GRAVITY = config.gravity || 25;
     this.NUM_SPHERES = config.ballLimit || 100;
     this.SPHERE_RADIUS = 0.2;
-    this.STEPS_PER_FRAME = 5;
+    this.SHOCKWAVE_RADIUS = 6; // How far a ball's shockwave ring spreads
+    // Fixed simulation tick - input is sampled once per tick, physics runs STEPS_PER_TICK substeps.
+    // Rendering interpolates between the last two ticks, so results don't depend on frame rate.
+    this.TICK_RATE = TICK_RATE;
+    this.TICK_DURATION = 1 / this.TICK_RATE;
+    this.STEPS_PER_TICK = STEPS_PER_TICK;
+    this.MAX_FRAME_TIME = 0.25; // Longer frames (tab switch, hitch) are clamped instead of fast-forwarded
+    this.accumulator = 0;
+    this.tickCount = 0;
     this.playerSpeed = config.playerSpeed || 95;
     this.airControl = config.airControl || 18;
     this.throwCooldown = 0.03;
     this.throwTimer = 0;
     this.ballsThrown = 0;
+    this.throwCharging = false; // Throw button held - mouseTime is when it went down
+    this.throwPreview = null; // Predicted arc, impact point and shockwave ring while charging
+    this.PREVIEW_TIME = 2; // Seconds of flight the preview follows
 
     // Store config
     this.config = config;
+    this.configHash = hashConfig(config); // Before anything can change it, see getReplayData()
     this.useBalls = config.useBalls !== undefined ? config.useBalls : true;
     this.levelNumber = config.levelNumber || 1;
 
@@ -30,28 +52,163 @@ export class Game {
     const initialRotationX = config.playerLookAt?.rotationX || 0;
     this.camera.rotation.set(initialRotationX, initialRotationY, 0);
 
-    // Time tracking
-    this.startTime = null;
-    this.pausedTime = 0; // Total time spent paused
-    this.pauseStartTime = null; // When the current pause started
+    // Look direction used by the simulation, taken from each tick's input. The camera follows it in
+    // live play but is free to differ from it (replay free camera).
+    this.lookRotation = new THREE.Euler(initialRotationX, initialRotationY, 0, 'YXZ');
+
+    // Where the player starts and respawns without a checkpoint (a spawn marker in the GLB overrides it)
+    this.spawnPoint = {
+      start: new THREE.Vector3(0, 0.5, 0),
+      end: new THREE.Vector3(0, 1.65, 0),
+      rotationX: initialRotationX,
+      rotationY: initialRotationY
+    };
+
+    // Time tracking (in simulation ticks, so pauses and frame rate never affect the timer)
+    this.startTick = null;
     this.completionTime = null; // Final time when level completed
     this.levelCompleted = false;
     
     // Death tracking
     this.deathCount = 0;
+    this.checkpointsReached = 0;
+    this.checkpointRespawns = 0;
+
+    // Finish zones, checkpoints, kill zones and triggers, filled by initLevelZones() once the level is loaded
+    this.goals = [];
+    this.checkpoints = [];
+    this.killZones = [];
+    this.triggers = [];
+    this.collectibles = [];
+    this.collectiblesCollected = 0;
+
+    // Moving platforms (see platforms.js), a collision layer next to the static world octree
+    this.platforms = [];
+    this.groundPlatform = null; // Platform the player stands on, carries the player along
+
+    // Ball targets - a thrown sphere hitting one runs its actions (doors, bridges, platforms, messages)
+    this.targets = [];
+    this.TARGET_RETRIGGER = 0.5; // Seconds before a switch (once: false) can be hit again
+
+    // Surface types (see surfaces.js) - one octree per type holds the level meshes of that type, the
+    // world octree still does all the collision
+    this.surfaceOctrees = []; // [type, Octree] pairs
+    this.floorSurface = 'default'; // Surface underfoot, 'default' in the air
+    this.surfaceProbe = new THREE.Sphere();
+
+    // Last reached checkpoint ({ index, start, end, rotationX, rotationY }), used as respawn point
+    this.checkpoint = null;
 
     this.worldOctree = new Octree();
     this.playerCollider = new Capsule(
-      new THREE.Vector3(0, 0.5, 0),
-      new THREE.Vector3(0, 1.65, 0),
+      this.spawnPoint.start.clone(),
+      this.spawnPoint.end.clone(),
       0.35
     );
+    this.previousPlayerPosition = this.playerCollider.end.clone(); // Capsule top at the previous tick
 
     this.playerVelocity = new THREE.Vector3();
     this.playerDirection = new THREE.Vector3();
     this.playerOnFloor = false;
+    this.wallContact = false; // Touching a near-vertical surface this substep
     this.mouseTime = 0;
     this.keyStates = {};
+    this.touchJumpHeld = false;
+    this.pendingThrowCharge = null; // Charge (seconds held) of a throw waiting for the next tick
+    this.pendingRespawn = false; // Checkpoint respawn requested from the pause menu
+
+    // Wall-running - moving fast along a wall in the air runs along it for a while with reduced gravity,
+    // jumping while on (or just off) a wall pushes away from it
+    this.WALL_MAX_NORMAL_Y = 0.3; // How far a wall may overhang
+    this.WALL_RUN_DURATION = 1.2;
+    this.WALL_RUN_MIN_SPEED = 3.5; // Horizontal speed along the wall needed to start a run
+    this.WALL_RUN_GRAVITY_SCALE = 0.2;
+    this.WALL_RUN_MAX_RISE = 4; // Upward speed kept when a run starts
+    this.WALL_STICK = 10; // Pull into the wall so contact holds during a run
+    this.WALL_CONTACT_GRACE = 0.15; // Wall jumps still work this long after leaving a wall
+    this.WALL_JUMP_PUSH = 10;
+    this.WALL_JUMP_UP = 12;
+    this.WALL_RUN_TILT = 0.15; // Camera roll (radians) away from the wall
+    this.wallNormal = new THREE.Vector3();
+    this.wallContactTimer = 0;
+    this.wallRunTimer = 0; // > 0 while wall-running
+    this.wallRunAvailable = true; // One run per wall - reset by landing or wall jumping
+    this.jumpHeld = false;
+    this.jumpPressed = false; // Jump went down this tick
+    this.cameraTilt = 0;
+    this.previousCameraTilt = 0;
+
+    // Crouching and sliding shrink the capsule from the top (capsule heights are start-to-end lengths).
+    // Gaps lower than the crouched player can only be crossed by sliding into them with some speed.
+    this.STAND_HEIGHT = 1.15;
+    this.CROUCH_HEIGHT = 0.45;
+    this.SLIDE_HEIGHT = 0.1;
+    this.CROUCH_SPEED_SCALE = 0.4;
+    this.SLIDE_START_SPEED = 3; // Horizontal speed needed to slide instead of crouch
+    this.SLIDE_BOOST = 4;
+    this.SLIDE_END_SPEED = 2;
+    this.SLIDE_CEILING_SPEED = 3; // Speed kept while sliding under something too low to crouch in
+    this.SLIDE_FRICTION_START = 1.5; // Friction ramps up from START to END over SLIDE_FRICTION_TIME
+    this.SLIDE_FRICTION_END = 12;
+    this.SLIDE_FRICTION_TIME = 1;
+    this.SLIDE_TILT = 0.05;
+    this.crouchHeld = false;
+    this.touchCrouchHeld = false;
+    this.sliding = false;
+    this.slideTime = 0;
+    this.slideDirection = new THREE.Vector3();
+    this.headroomCollider = new Capsule(new THREE.Vector3(), new THREE.Vector3(), 0.3);
+    this.cameraHeightOffset = 0; // Eases the camera to a new eye height after the capsule changes size
+    this.previousCameraHeightOffset = 0;
+
+    // Ledge grabbing - falling against a wall whose top is within reach hangs on it. Left / right shimmy
+    // along the edge, forward or jump mantles up, back or crouch lets go.
+    this.LEDGE_REACH = 0.5; // How far above / below eye height a ledge can be grabbed
+    this.LEDGE_PROBE_DEPTH = 0.25; // How far past the wall the ledge top is probed
+    this.LEDGE_MAX_RISE = 2; // Upward speed above which ledges are ignored
+    this.LEDGE_HANG_DROP = 0.25; // Eye height below the ledge top while hanging
+    this.LEDGE_SHIMMY_SPEED = 1.5;
+    this.LEDGE_REGRAB_DELAY = 0.3;
+    this.MANTLE_DURATION = 0.5;
+    this.ledge = null; // { top, normal, forwardReleased, mantle: { time, from, to } | null } while on a ledge
+    this.ledgeCooldown = 0;
+    this.ledgeRay = new THREE.Ray(new THREE.Vector3(), new THREE.Vector3(0, -1, 0));
+
+    // Abilities unlocked by the level config (see abilities.js)
+    this.abilities = createAbilityStates(config.abilities);
+    this.DOUBLE_JUMP_VELOCITY = 14;
+    this.DASH_SPEED = 18;
+    this.DASH_DURATION = 0.18;
+    this.DASH_END_SPEED = 7; // Horizontal speed left when a dash ends
+    this.GROUND_POUND_SPEED = 35;
+    this.airJumpUsed = false;
+    this.dashTimer = 0; // > 0 while dashing
+    this.dashDirection = new THREE.Vector3();
+    this.dashHeld = false;
+    this.dashPressed = false;
+    this.groundPoundHeld = false;
+    this.groundPoundPressed = false;
+    this.groundPounding = false;
+    this.touchDashHeld = false;
+    this.touchGroundPoundHeld = false;
+
+    // Grappling hook (hold right mouse button or E) - fires along the view and attaches to the world, or
+    // only to the level's grapple points when it has any. The rope keeps the player within its length,
+    // which swings them around the anchor, and slowly reels in. Levels enable it like balls:
+    // useGrapple, grappleLimit (attaches per run, unlimited when left out) and grappleRange.
+    this.useGrapple = Boolean(config.useGrapple);
+    this.grappleLimit = config.grappleLimit ?? null;
+    this.GRAPPLE_RANGE = config.grappleRange || 30;
+    this.GRAPPLE_AIM_ANGLE = 0.15; // How far off the view direction a grapple point can be (radians)
+    this.GRAPPLE_REEL_SPEED = 2;
+    this.GRAPPLE_MIN_LENGTH = 2;
+    this.grapplePoints = []; // Anchor positions, filled by initLevelZones()
+    this.grapple = null; // { point, length } while attached
+    this.grapplesUsed = 0;
+    this.grappleHeld = false;
+    this.touchGrappleHeld = false;
+    this.grappleRay = new THREE.Ray();
+    this.ropeLine = null;
 
     this.vector1 = new THREE.Vector3();
     this.vector2 = new THREE.Vector3();
@@ -60,17 +217,43 @@ export class Game {
     this.joystickDX = 0;
     this.joystickDY = 0;
 
+    // Controller - the left stick drives the same input as the touch joystick
+    this.gamepad = new GamepadInput();
+
     this.spheres = [];
     this.sphereIdx = 0;
     this.shockwaves = [];
 
     this.isPaused = false;
     
-    // Load sensitivity from localStorage or default to 1.0
-    this.sensitivity = parseFloat(localStorage.getItem('mouseSensitivity')) || 1.0;
+    // Player settings (see settings.js), set by applySettings() at the end of the constructor
+    this.sensitivity = 1.0; // Mouse and gamepad look
+    this.touchSensitivity = 1.0;
+    this.invertY = false;
+
+    // Keys, mouse buttons and gamepad buttons for each action (see bindings.js)
+    this.bindings = loadBindings();
+
+    // Ghost racing - this run is recorded, the personal best (if any) is replayed via setGhost()
+    this.ghostRecorder = new GhostRecorder();
+    this.ghost = null;
+    this.ghostEnabled = true;
+    this.hideGhostDelta();
+
+    // Replays - every live tick's input is recorded, startReplay() plays a recording back instead
+    this.replayRecorder = new ReplayRecorder();
+    this.replay = null;
+    this.replayCameraMode = 'follow';
+    this.REPLAY_KEYFRAME_INTERVAL = 300; // Ticks between saved simulation states used for seeking
+    this.silent = false; // Mutes sounds and notices while fast-forwarding a replay
+
+    // Jump and landing sounds (playMovementSounds)
+    this.JUMP_SOUND_SPEED = 5; // Upward kick in one tick that counts as a jump
+    this.LAND_SOUND_SPEED = 8; // Falling speed that makes a landing audible
 
     // Initialize walking sound
     this.initWalkingSound();
+    this.applySettings(loadSettings());
 
     // Store event listeners for cleanup
     this.eventListeners = {
@@ -78,12 +261,21 @@ export class Game {
       keyup: null,
       mousedown: null,
       mouseup: null,
+      contextmenu: null,
       mousemove: null,
       touchstartBody: null,
       touchmoveBody: null,
       touchendBody: null,
       touchstartJump: null,
       touchendJump: null,
+      touchstartCrouch: null,
+      touchendCrouch: null,
+      touchstartDash: null,
+      touchendDash: null,
+      touchstartGroundPound: null,
+      touchendGroundPound: null,
+      touchstartGrapple: null,
+      touchendGrapple: null,
       touchstartThrow: null,
       touchendThrow: null,
       touchstartJoystick: null,
@@ -93,27 +285,43 @@ export class Game {
     };
 
     this.initSpheres();
+    if (this.useBalls) this.initThrowPreview();
+    if (this.useGrapple) this.initRope();
     this.initControls();
   }
 
   initWalkingSound() {
-    // Create new walking sound instance
-    this.walkingSound = new Audio('sound/walking.mp3');
-    this.walkingSound.loop = true;
-    this.walkingSound.volume = 0.5;
-    this.walkingSound.playbackRate = 1.5;
-    this.isWalkingSoundPlaying = false;
+    // One footstep loop per surface type, created the first time that surface is walked on.
+    // walkingSound is the loop for the current surface.
+    this.footstepSounds = {};
+    this.walkingSound = this.getFootstepSound('default');
+  }
+
+  getFootstepSound(type) {
+    if (!this.footstepSounds[type]) {
+      const footstep = SURFACES[type].footstep;
+      this.footstepSounds[type] = audio.createLoop(footstep.sound, { volume: footstep.volume, rate: footstep.rate });
+    }
+    return this.footstepSounds[type];
+  }
+
+  // Settings can change while a level runs (pause menu), so this is called again with every change
+  applySettings(settings) {
+    this.sensitivity = settings.mouseSensitivity;
+    this.touchSensitivity = settings.touchSensitivity;
+    this.invertY = settings.invertY;
+
+    this.camera.fov = settings.fov;
+    this.camera.updateProjectionMatrix();
+
+    if (settings.ghostEnabled !== this.ghostEnabled) this.setGhostEnabled(settings.ghostEnabled);
   }
 
   unloadWalkingSound() {
-    // Stop and unload the walking sound completely
+    // Stop and unload the footstep sounds completely
     if (this.walkingSound) {
-      if (this.isWalkingSoundPlaying) {
-        this.walkingSound.pause();
-        this.isWalkingSoundPlaying = false;
-      }
-      this.walkingSound.src = '';
-      this.walkingSound.load();
+      this.walkingSound.stop();
+      this.footstepSounds = {};
       this.walkingSound = null;
     }
   }
@@ -131,35 +339,91 @@ export class Game {
       this.spheres.push({
         mesh: sphere,
         collider: new THREE.Sphere(new THREE.Vector3(0, -100, 0), this.SPHERE_RADIUS),
+        previousCenter: new THREE.Vector3(0, -100, 0), // Position at the previous tick, for interpolation
         velocity: new THREE.Vector3()
       });
     }
   }
 
+  initThrowPreview() {
+    const pointCount = Math.ceil(this.PREVIEW_TIME * this.TICK_RATE) + 2; // One point per tick
+    const arcGeometry = new THREE.BufferGeometry();
+    arcGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3));
+    const arc = new THREE.Line(arcGeometry, new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 }));
+
+    const impact = new THREE.Mesh(
+      new THREE.SphereGeometry(this.SPHERE_RADIUS, 12, 8),
+      new THREE.MeshBasicMaterial({ color: 0x00aaff })
+    );
+
+    const ringPoints = [];
+    for (let i = 0; i < 64; i++) {
+      const angle = (i / 64) * Math.PI * 2;
+      ringPoints.push(new THREE.Vector3(Math.cos(angle) * this.SHOCKWAVE_RADIUS, 0, Math.sin(angle) * this.SHOCKWAVE_RADIUS));
+    }
+    const ring = new THREE.LineLoop(
+      new THREE.BufferGeometry().setFromPoints(ringPoints),
+      new THREE.LineBasicMaterial({ color: 0x00aaff, transparent: true, opacity: 0.5 })
+    );
+
+    const group = new THREE.Group();
+    group.add(arc, impact, ring);
+    group.visible = false;
+    arc.frustumCulled = false;
+    this.scene.add(group);
+    this.throwPreview = { group, arc, impact, ring, rotation: new THREE.Euler(0, 0, 0, 'YXZ'), sphere: new THREE.Sphere(new THREE.Vector3(), this.SPHERE_RADIUS), velocity: new THREE.Vector3() };
+  }
+
+  initRope() {
+    const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+    this.ropeLine = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0x3a2a1a }));
+    this.ropeLine.frustumCulled = false;
+    this.ropeLine.visible = false;
+    this.scene.add(this.ropeLine);
+  }
+
   initControls() {
     // Store handlers for cleanup
-    this.eventListeners.keydown = (e) => { this.keyStates[e.code] = true; };
-    this.eventListeners.keyup = (e) => { this.keyStates[e.code] = false; };
+    // Mouse buttons go into keyStates too ('Mouse0'...), so actions can be bound to either
+    this.eventListeners.keydown = (e) => {
+      this.keyStates[e.code] = true;
+      if (!e.repeat && this.isBoundTo('throw', e.code)) this.startThrowCharge();
+    };
+    this.eventListeners.keyup = (e) => {
+      this.keyStates[e.code] = false;
+      if (this.isBoundTo('throw', e.code)) this.releaseThrowCharge();
+    };
     
     document.addEventListener('keydown', this.eventListeners.keydown);
     document.addEventListener('keyup', this.eventListeners.keyup);
 
     const container = document.getElementById('container');
-    this.eventListeners.mousedown = () => {
+    this.eventListeners.mousedown = (event) => {
+      // The click that locks the pointer doesn't throw
+      const locked = document.pointerLockElement !== null;
       document.body.requestPointerLock();
-      this.mouseTime = performance.now();
+      const binding = `Mouse${event.button}`;
+      this.keyStates[binding] = true;
+      if (locked && this.isBoundTo('throw', binding)) this.startThrowCharge();
     };
     container.addEventListener('mousedown', this.eventListeners.mousedown);
 
-    this.eventListeners.mouseup = () => {
-      if (document.pointerLockElement !== null) this.throwBall();
+    this.eventListeners.mouseup = (event) => {
+      const binding = `Mouse${event.button}`;
+      this.keyStates[binding] = false;
+      if (!this.isBoundTo('throw', binding)) return;
+      if (document.pointerLockElement !== null) this.releaseThrowCharge();
+      else this.throwCharging = false; // Lost the pointer while charging (Esc)
     };
     document.addEventListener('mouseup', this.eventListeners.mouseup);
 
+    this.eventListeners.contextmenu = (event) => event.preventDefault();
+    container.addEventListener('contextmenu', this.eventListeners.contextmenu);
+
     this.eventListeners.mousemove = (event) => {
       if (document.pointerLockElement === document.body) {
         this.camera.rotation.y -= (event.movementX / 500) * this.sensitivity;
-        this.camera.rotation.x -= (event.movementY / 500) * this.sensitivity;
+        this.camera.rotation.x -= (event.movementY / 500) * this.sensitivity * (this.invertY ? -1 : 1);
         this.camera.rotation.x = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2, this.camera.rotation.x));
       }
     };
@@ -191,9 +455,9 @@ export class Game {
           const deltaX = touch.clientX - lookTouchX;
           const deltaY = touch.clientY - lookTouchY;
           const baseSensitivity = 200;
-          const lookSensitivity = baseSensitivity / this.sensitivity;
+          const lookSensitivity = baseSensitivity / this.touchSensitivity;
           this.camera.rotation.y -= deltaX / lookSensitivity;
-          this.camera.rotation.x -= deltaY / lookSensitivity;
+          this.camera.rotation.x -= (deltaY / lookSensitivity) * (this.invertY ? -1 : 1);
           this.camera.rotation.x = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2, this.camera.rotation.x));
           lookTouchX = touch.clientX;
           lookTouchY = touch.clientY;
@@ -211,55 +475,88 @@ export class Game {
     document.body.addEventListener('touchend', this.eventListeners.touchendBody, { passive: true });
 
     const jumpButton = document.getElementById("jump-button");
-    let jumpInterval = null;
     
+    // Held state is sampled every tick, like the Space key
     this.eventListeners.touchstartJump = (e) => {
       e.preventDefault();
-      
-      if (this.playerOnFloor) this.playerVelocity.y = 12;
-      
-      if (jumpInterval) clearInterval(jumpInterval);
-      
-      jumpInterval = setInterval(() => {
-        if (this.playerOnFloor) {
-          this.playerVelocity.y = 12;
-        }
-      }, 200);
+      this.touchJumpHeld = true;
     };
     jumpButton.addEventListener("touchstart", this.eventListeners.touchstartJump, { passive: false });
     
     this.eventListeners.touchendJump = (e) => {
       e.preventDefault();
-      if (jumpInterval) {
-        clearInterval(jumpInterval);
-        jumpInterval = null;
-      }
+      this.touchJumpHeld = false;
     };
     jumpButton.addEventListener("touchend", this.eventListeners.touchendJump, { passive: false });
 
-    const throwButton = document.getElementById("throw-button");
-    let throwHoldTimer = null;
+    const crouchButton = document.getElementById("crouch-button");
 
-    const throwBallMobile = () => {
-      this.mouseTime = performance.now();
-      this.throwBall();
+    this.eventListeners.touchstartCrouch = (e) => {
+      e.preventDefault();
+      this.touchCrouchHeld = true;
+    };
+    crouchButton.addEventListener("touchstart", this.eventListeners.touchstartCrouch, { passive: false });
+
+    this.eventListeners.touchendCrouch = (e) => {
+      e.preventDefault();
+      this.touchCrouchHeld = false;
+    };
+    crouchButton.addEventListener("touchend", this.eventListeners.touchendCrouch, { passive: false });
+
+    const dashButton = document.getElementById("dash-button");
+
+    this.eventListeners.touchstartDash = (e) => {
+      e.preventDefault();
+      this.touchDashHeld = true;
+    };
+    dashButton.addEventListener("touchstart", this.eventListeners.touchstartDash, { passive: false });
+
+    this.eventListeners.touchendDash = (e) => {
+      e.preventDefault();
+      this.touchDashHeld = false;
     };
+    dashButton.addEventListener("touchend", this.eventListeners.touchendDash, { passive: false });
+
+    const groundPoundButton = document.getElementById("ground-pound-button");
+
+    this.eventListeners.touchstartGroundPound = (e) => {
+      e.preventDefault();
+      this.touchGroundPoundHeld = true;
+    };
+    groundPoundButton.addEventListener("touchstart", this.eventListeners.touchstartGroundPound, { passive: false });
+
+    this.eventListeners.touchendGroundPound = (e) => {
+      e.preventDefault();
+      this.touchGroundPoundHeld = false;
+    };
+    groundPoundButton.addEventListener("touchend", this.eventListeners.touchendGroundPound, { passive: false });
+
+    const grappleButton = document.getElementById("grapple-button");
+
+    this.eventListeners.touchstartGrapple = (e) => {
+      e.preventDefault();
+      this.touchGrappleHeld = true;
+    };
+    grappleButton.addEventListener("touchstart", this.eventListeners.touchstartGrapple, { passive: false });
+
+    this.eventListeners.touchendGrapple = (e) => {
+      e.preventDefault();
+      this.touchGrappleHeld = false;
+    };
+    grappleButton.addEventListener("touchend", this.eventListeners.touchendGrapple, { passive: false });
+
+    const throwButton = document.getElementById("throw-button");
 
+    // Charges while held like the mouse button, with the same preview
     this.eventListeners.touchstartThrow = (e) => {
       e.preventDefault();
-      throwHoldTimer = setTimeout(() => {
-        throwBallMobile();
-      }, 2000);
+      this.startThrowCharge();
     };
     throwButton.addEventListener("touchstart", this.eventListeners.touchstartThrow);
 
     this.eventListeners.touchendThrow = (e) => {
       e.preventDefault();
-      if (throwHoldTimer) {
-        clearTimeout(throwHoldTimer);
-        throwBallMobile();
-        throwHoldTimer = null;
-      }
+      this.releaseThrowCharge();
     };
     throwButton.addEventListener("touchend", this.eventListeners.touchendThrow);
   }
@@ -347,6 +644,11 @@ export class Game {
     // Unload walking sound completely
     this.unloadWalkingSound();
 
+    if (this.ghost) {
+      this.ghost.destroy();
+      this.ghost = null;
+    }
+
     // Dispose of all spheres
     if (this.spheres && this.spheres.length > 0) {
       this.spheres.forEach(sphere => {
@@ -371,6 +673,22 @@ export class Game {
       this.shockwaves = [];
     }
     
+    if (this.throwPreview) {
+      this.scene.remove(this.throwPreview.group);
+      this.throwPreview.group.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+      });
+      this.throwPreview = null;
+    }
+    
+    if (this.ropeLine) {
+      this.scene.remove(this.ropeLine);
+      this.ropeLine.geometry.dispose();
+      this.ropeLine.material.dispose();
+      this.ropeLine = null;
+    }
+    
     // Remove all event listeners to prevent memory leaks
     if (this.eventListeners.keydown) {
       document.removeEventListener('keydown', this.eventListeners.keydown);
@@ -386,6 +704,9 @@ export class Game {
     if (this.eventListeners.mouseup) {
       document.removeEventListener('mouseup', this.eventListeners.mouseup);
     }
+    if (this.eventListeners.contextmenu && container) {
+      container.removeEventListener('contextmenu', this.eventListeners.contextmenu);
+    }
     if (this.eventListeners.mousemove) {
       document.body.removeEventListener('mousemove', this.eventListeners.mousemove);
     }
@@ -408,6 +729,38 @@ export class Game {
       jumpButton.removeEventListener("touchend", this.eventListeners.touchendJump);
     }
     
+    const crouchButton = document.getElementById("crouch-button");
+    if (this.eventListeners.touchstartCrouch && crouchButton) {
+      crouchButton.removeEventListener("touchstart", this.eventListeners.touchstartCrouch);
+    }
+    if (this.eventListeners.touchendCrouch && crouchButton) {
+      crouchButton.removeEventListener("touchend", this.eventListeners.touchendCrouch);
+    }
+    
+    const dashButton = document.getElementById("dash-button");
+    if (this.eventListeners.touchstartDash && dashButton) {
+      dashButton.removeEventListener("touchstart", this.eventListeners.touchstartDash);
+    }
+    if (this.eventListeners.touchendDash && dashButton) {
+      dashButton.removeEventListener("touchend", this.eventListeners.touchendDash);
+    }
+    
+    const groundPoundButton = document.getElementById("ground-pound-button");
+    if (this.eventListeners.touchstartGroundPound && groundPoundButton) {
+      groundPoundButton.removeEventListener("touchstart", this.eventListeners.touchstartGroundPound);
+    }
+    if (this.eventListeners.touchendGroundPound && groundPoundButton) {
+      groundPoundButton.removeEventListener("touchend", this.eventListeners.touchendGroundPound);
+    }
+    
+    const grappleButton = document.getElementById("grapple-button");
+    if (this.eventListeners.touchstartGrapple && grappleButton) {
+      grappleButton.removeEventListener("touchstart", this.eventListeners.touchstartGrapple);
+    }
+    if (this.eventListeners.touchendGrapple && grappleButton) {
+      grappleButton.removeEventListener("touchend", this.eventListeners.touchendGrapple);
+    }
+    
     const throwButton = document.getElementById("throw-button");
     if (this.eventListeners.touchstartThrow && throwButton) {
       throwButton.removeEventListener("touchstart", this.eventListeners.touchstartThrow);
@@ -431,6 +784,8 @@ export class Game {
       window.removeEventListener('resize', this.eventListeners.resizeJoystick);
     }
     
+    this.gamepad.destroy();
+
     // Clear keyStates
     this.keyStates = {};
   }
@@ -439,46 +794,223 @@ export class Game {
     this.isPaused = true;
     this.clock.stop();
     
-    // Pause walking sound
-    if (this.isWalkingSoundPlaying) {
-      this.walkingSound.pause();
-    }
-    
-    // Track when pause started (only if timer is running and not already paused)
-    if (this.startTime && !this.pauseStartTime && !this.levelCompleted) {
-      this.pauseStartTime = performance.now();
-    }
+    // Stop walking sound, animate() starts it again after resuming
+    if (this.walkingSound) this.walkingSound.stop();
   }
 
   resume() {
     this.isPaused = false;
     this.clock.start();
-    
-    // Add paused duration to total paused time
-    if (this.pauseStartTime && !this.levelCompleted) {
-      this.pausedTime += performance.now() - this.pauseStartTime;
-      this.pauseStartTime = null;
-    }
+    // The button that picked resume on the pause menu may still be down
+    this.gamepad.ignoreHeldButtons();
   }
 
-  throwBall() {
+  setBindings(bindings) {
+    this.bindings = bindings;
+  }
+
+  isBoundTo(action, binding) {
+    const slots = this.bindings[action];
+    return Boolean(slots) && (slots.primary === binding || slots.secondary === binding || slots.gamepad === binding);
+  }
+
+  // Whether a key, mouse button or gamepad button bound to the action is down
+  isActionHeld(action) {
+    const slots = this.bindings[action];
+    if (!slots) return false;
+    return Boolean(this.keyStates[slots.primary] || this.keyStates[slots.secondary]) ||
+           this.gamepad.held(getGamepadButton(slots.gamepad));
+  }
+
+  // Right stick turns the camera at a rate instead of by a distance like the mouse. The throw binding is
+  // checked here because it charges with real time, the other actions are read in sampleInput().
+  updateGamepad(frameTime) {
+    if (!this.gamepad.poll()) return;
+
+    const turn = LOOK_SPEED * this.sensitivity * frameTime;
+    this.camera.rotation.y -= this.gamepad.look.x * turn;
+    this.camera.rotation.x -= this.gamepad.look.y * turn * (this.invertY ? -1 : 1);
+    this.camera.rotation.x = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2, this.camera.rotation.x));
+
+    const throwButton = getGamepadButton(this.bindings.throw.gamepad);
+    if (this.gamepad.pressed(throwButton)) this.startThrowCharge();
+    else if (this.gamepad.released(throwButton)) this.releaseThrowCharge();
+  }
+
+  // Throws charge while the throw binding (or touch button) is held and go off when it is let go
+  startThrowCharge() {
+    this.mouseTime = performance.now();
+    this.throwCharging = true;
+  }
+
+  releaseThrowCharge() {
+    if (!this.throwCharging) return;
+    this.throwCharging = false;
+    this.requestThrow();
+  }
+
+  requestThrow() {
+    // Charge is measured when the button is released, the throw itself happens on the next tick
+    this.pendingThrowCharge = (performance.now() - this.mouseTime) / 1000;
+  }
+
+  throwBall(chargeTime) {
     if (!this.useBalls) return;
     if (this.throwTimer > 0) return;
     if (this.ballsThrown >= this.NUM_SPHERES) return; // Ball limit reached
 
     const sphere = this.spheres[this.sphereIdx];
-    this.camera.getWorldDirection(this.playerDirection);
-    sphere.collider.center.copy(this.playerCollider.end).addScaledVector(this.playerDirection, this.playerCollider.radius * 1.5);
-    const impulse = 15 + 30 * (1 - Math.exp((this.mouseTime - performance.now()) * 0.001));
-    sphere.velocity.copy(this.playerDirection).multiplyScalar(impulse);
-    sphere.velocity.addScaledVector(this.playerVelocity, 2);
+    this.getThrowLaunch(chargeTime, this.lookRotation, sphere.collider.center, sphere.velocity);
+    sphere.previousCenter.copy(sphere.collider.center);
     this.sphereIdx = (this.sphereIdx + 1) % this.spheres.length;
     this.ballsThrown++;
 
     this.throwTimer = this.throwCooldown;
   }
 
-  createShockwave(position, color = 0x00aaff) {
+  // Start position and velocity of a throw, shared by throwBall() and the preview so they always agree
+  getThrowLaunch(chargeTime, rotation, center, velocity) {
+    const direction = this.playerDirection.set(0, 0, -1).applyEuler(rotation);
+    center.copy(this.playerCollider.end).addScaledVector(direction, this.playerCollider.radius * 1.5);
+    const impulse = 15 + 30 * (1 - Math.exp(-chargeTime));
+    velocity.copy(direction).multiplyScalar(impulse);
+    velocity.addScaledVector(this.playerVelocity, 2);
+  }
+
+  // Runs a throw at the current charge through the same steps as updateSpheres() up to the first impact
+  updateThrowPreview() {
+    const preview = this.throwPreview;
+    if (!preview) return;
+    preview.group.visible = this.throwCharging && !this.replay && this.ballsThrown < this.NUM_SPHERES;
+    if (!preview.group.visible) return;
+
+    const chargeTime = (performance.now() - this.mouseTime) / 1000;
+    preview.rotation.set(this.camera.rotation.x, this.camera.rotation.y, 0);
+    const { sphere, velocity } = preview;
+    this.getThrowLaunch(chargeTime, preview.rotation, sphere.center, velocity);
+
+    const positions = preview.arc.geometry.attributes.position;
+    const deltaTime = this.TICK_DURATION / this.STEPS_PER_TICK;
+    const damping = Math.exp(-1.5 * deltaTime) - 1;
+    const steps = Math.round(this.PREVIEW_TIME / deltaTime);
+    let count = 0;
+    let impact = null;
+    positions.setXYZ(count++, sphere.center.x, sphere.center.y, sphere.center.z);
+    for (let step = 1; step <= steps && !impact; step++) {
+      sphere.center.addScaledVector(velocity, deltaTime);
+      impact = this.sphereCollision(sphere);
+      if (!impact) {
+        velocity.y -= this.GRAVITY * deltaTime;
+        velocity.addScaledVector(velocity, damping);
+      }
+      if (impact || step % this.STEPS_PER_TICK === 0) {
+        positions.setXYZ(count++, sphere.center.x, sphere.center.y, sphere.center.z);
+      }
+    }
+    positions.needsUpdate = true;
+    preview.arc.geometry.setDrawRange(0, count);
+
+    preview.impact.visible = Boolean(impact);
+    preview.ring.visible = Boolean(impact);
+    if (impact) {
+      preview.impact.position.copy(sphere.center);
+      preview.ring.position.copy(sphere.center);
+    }
+  }
+
+  // First surface a sphere overlaps - the static world, then the moving platforms
+  sphereCollision(collider) {
+    let result = this.worldOctree.sphereIntersect(collider);
+    for (const platform of this.platforms) {
+      if (result) break;
+      result = platform.sphereIntersect(collider);
+    }
+    return result;
+  }
+
+  // Attaches the rope to what the player looks at, if it is in range
+  fireGrapple() {
+    if (!this.useGrapple || this.ledge) return;
+    if (this.grappleLimit !== null && this.grapplesUsed >= this.grappleLimit) return;
+
+    const eye = this.playerCollider.end;
+    const direction = this.vector2.set(0, 0, -1).applyEuler(this.lookRotation);
+    let point = null;
+
+    if (this.grapplePoints.length > 0) {
+      // Closest to the view direction, within range and in sight
+      let bestAngle = this.GRAPPLE_AIM_ANGLE;
+      for (const candidate of this.grapplePoints) {
+        const toPoint = this.vector3.subVectors(candidate, eye);
+        const distance = toPoint.length();
+        if (distance > this.GRAPPLE_RANGE) continue;
+        const angle = toPoint.angleTo(direction);
+        if (angle >= bestAngle) continue;
+        this.grappleRay.set(eye, toPoint.divideScalar(distance));
+        const hit = this.worldOctree.rayIntersect(this.grappleRay);
+        if (hit && hit.distance < distance - 0.5) continue;
+        bestAngle = angle;
+        point = candidate;
+      }
+    } else {
+      this.grappleRay.set(eye, direction);
+      const hit = this.worldOctree.rayIntersect(this.grappleRay);
+      if (hit && hit.distance <= this.GRAPPLE_RANGE) point = hit.position;
+    }
+    if (!point) return;
+
+    this.grapple = { point: point.clone(), length: eye.distanceTo(point) };
+    this.grapplesUsed++;
+    this.wallRunTimer = 0;
+    this.sliding = false;
+  }
+
+  // Keeps the player within the rope's length - pulling back and dropping outward speed turns falling
+  // into swinging around the anchor. The rope snaps when something comes between the player and the anchor.
+  updateGrapple(deltaTime, input) {
+    if (!this.grapple) return;
+    if (!input.grapple) {
+      this.grapple = null;
+      return;
+    }
+
+    const grapple = this.grapple;
+    grapple.length = Math.max(this.GRAPPLE_MIN_LENGTH, grapple.length - this.GRAPPLE_REEL_SPEED * deltaTime);
+    const outward = this.vector1.subVectors(this.playerCollider.end, grapple.point);
+    const distance = outward.length();
+    if (distance > grapple.length) {
+      outward.divideScalar(distance);
+      this.playerCollider.translate(this.vector2.copy(outward).multiplyScalar(grapple.length - distance));
+      const outwardSpeed = this.playerVelocity.dot(outward);
+      if (outwardSpeed > 0) this.playerVelocity.addScaledVector(outward, -outwardSpeed);
+      // The pull can drag the capsule into geometry, push it back out
+      this.playerCollisions();
+    }
+
+    const toAnchor = this.vector1.subVectors(grapple.point, this.playerCollider.end);
+    const anchorDistance = toAnchor.length();
+    if (anchorDistance <= 0.5) return;
+    this.grappleRay.set(this.playerCollider.end, toAnchor.divideScalar(anchorDistance));
+    const hit = this.worldOctree.rayIntersect(this.grappleRay);
+    if (hit && hit.distance < anchorDistance - 0.5) this.grapple = null;
+  }
+
+  updateRope() {
+    if (!this.ropeLine) return;
+    this.ropeLine.visible = Boolean(this.grapple);
+    if (!this.grapple) return;
+
+    // From just below the eyes (the hand) to the anchor
+    const positions = this.ropeLine.geometry.attributes.position;
+    const freeCamera = this.replay && this.replayCameraMode === 'free';
+    const hand = this.vector1.copy(freeCamera ? this.playerCollider.end : this.camera.position);
+    hand.y -= 0.3;
+    positions.setXYZ(0, hand.x, hand.y, hand.z);
+    positions.setXYZ(1, this.grapple.point.x, this.grapple.point.y, this.grapple.point.z);
+    positions.needsUpdate = true;
+  }
+
+  createShockwaveMesh(position, color) {
     const ringCount = 40;
     const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(ringCount * 3);
@@ -507,29 +1039,105 @@ export class Game {
     const ring = new THREE.Points(geometry, material);
     this.scene.add(ring);
 
+    return { mesh: ring, angles, speeds };
+  }
+
+  // Ball shockwaves launch the player, others (ground pound) are only an effect
+  createShockwave(position, color = 0x00aaff, launches = true) {
+    const { mesh, angles, speeds } = this.createShockwaveMesh(position, color);
+    if (!this.silent) audio.play('shockwave', { position, volume: launches ? 1 : 0.7 });
+
     const playerPos = this.playerCollider.end.clone();
     const dist = playerPos.distanceTo(position);
-    if (dist < 2) {
+    if (launches && dist < 2) {
       this.playerVelocity.y = 1.5;
     }
 
-    this.shockwaves.push({ mesh: ring, angles, speeds, life: 1, position: position.clone() });
+    this.shockwaves.push({ mesh, angles, speeds, color, launches, life: 1, position: position.clone() });
   }
 
   playerCollisions() {
-    const result = this.worldOctree.capsuleIntersect(this.playerCollider);
+    const previousPlatform = this.groundPlatform;
     this.playerOnFloor = false;
-    if (result) {
-      this.playerOnFloor = result.normal.y > 0;
-      if (!this.playerOnFloor) this.playerVelocity.addScaledVector(result.normal, -result.normal.dot(this.playerVelocity));
-      if (result.depth >= 1e-10) this.playerCollider.translate(result.normal.multiplyScalar(result.depth));
+    this.wallContact = false;
+    this.groundPlatform = null;
+    this.resolvePlayerCollision(this.worldOctree.capsuleIntersect(this.playerCollider));
+    for (const platform of this.platforms) {
+      if (this.resolvePlayerCollision(platform.capsuleIntersect(this.playerCollider))) {
+        this.groundPlatform = platform;
+      }
+    }
+
+    // Stepping or jumping off a platform keeps its motion
+    if (previousPlatform && !this.playerOnFloor) {
+      this.playerVelocity.add(previousPlatform.getPointVelocity(this.playerCollider.start, this.TICK_DURATION, this.vector1));
+    }
+    this.floorSurface = this.playerOnFloor ? this.getFloorSurface() : 'default';
+  }
+
+  // Surface type underfoot, from the platform stood on or a probe just below the feet
+  getFloorSurface() {
+    if (this.groundPlatform) return this.groundPlatform.mesh.userData.surface || 'default';
+
+    const probe = this.surfaceProbe;
+    probe.center.copy(this.playerCollider.start);
+    probe.center.y -= 0.1;
+    probe.radius = this.playerCollider.radius - 0.05; // Slimmer, so walls being touched don't count
+    for (const [type, octree] of this.surfaceOctrees) {
+      if (octree.sphereIntersect(probe)) return type;
+    }
+    return 'default';
+  }
+
+  // Pushes the player out of a surface, returns whether it is floor
+  resolvePlayerCollision(result) {
+    if (!result) return false;
+    const onFloor = result.normal.y > 0;
+    if (onFloor) {
+      this.playerOnFloor = true;
+    } else {
+      this.playerVelocity.addScaledVector(result.normal, -result.normal.dot(this.playerVelocity));
+      // Vertical or slightly overhanging surfaces (ceilings are left out)
+      if (result.normal.y > -this.WALL_MAX_NORMAL_Y) {
+        this.wallContact = true;
+        this.wallNormal.set(result.normal.x, 0, result.normal.z).normalize();
+      }
+    }
+    if (result.depth >= 1e-10) this.playerCollider.translate(result.normal.multiplyScalar(result.depth));
+    return onFloor;
+  }
+
+  // Whether a capsule overlaps the world or a moving platform
+  capsuleHitsWorld(capsule) {
+    if (this.worldOctree.capsuleIntersect(capsule)) return true;
+    return this.platforms.some(platform => platform.capsuleIntersect(capsule));
+  }
+
+  // Moves the platforms to the next tick's pose and carries a player standing on one along
+  updatePlatforms() {
+    for (const platform of this.platforms) {
+      platform.update(this.tickCount + 1, this.TICK_DURATION);
+    }
+
+    const platform = this.groundPlatform;
+    if (!platform) return;
+    platform.stepOn(this.tickCount);
+    // Only the feet follow the platform so the capsule stays upright on tilting ones
+    const carried = platform.carry(this.vector1.copy(this.playerCollider.start));
+    this.playerCollider.translate(carried.sub(this.playerCollider.start));
+    if (platform.deltaYaw !== 0) {
+      this.lookRotation.y += platform.deltaYaw;
+      if (!this.replay) this.camera.rotation.y += platform.deltaYaw;
     }
   }
 
   updatePlayer(deltaTime) {
-    let damping = Math.exp(-20 * deltaTime) - 1;
+    let damping = Math.exp(-this.getFloorFriction() * deltaTime) - 1;
     if (!this.playerOnFloor) {
-      this.playerVelocity.y -= this.GRAVITY * deltaTime;
+      let gravity = this.GRAVITY;
+      if (this.dashTimer > 0) gravity = 0;
+      else if (this.wallRunTimer > 0) gravity *= this.WALL_RUN_GRAVITY_SCALE;
+      this.playerVelocity.y -= gravity * deltaTime;
       damping *= 0.1;
     }
     this.playerVelocity.addScaledVector(this.playerVelocity, damping);
@@ -537,6 +1145,14 @@ export class Game {
     this.playerCollider.translate(deltaPosition);
     this.playerCollisions();
 
+    // Bounce pads launch the player straight up
+    const bounce = SURFACES[this.floorSurface].bounce;
+    if (this.playerOnFloor && bounce > 0) {
+      this.playerVelocity.y = Math.max(this.playerVelocity.y, bounce);
+    }
+  }
+
+  updateCamera(alpha) {
     const CAMERA_NOSE_OFFSET = 0.08;
     const CAMERA_UP_OFFSET = 0.09;
     const CAMERA_LEFT_OFFSET = -0.03;
@@ -545,7 +1161,16 @@ export class Game {
     const side = this.getSideVector().clone().normalize().multiplyScalar(CAMERA_LEFT_OFFSET);
     const up = new THREE.Vector3(0, CAMERA_UP_OFFSET, 0);
 
-    this.camera.position.copy(this.playerCollider.end)
+    // Replays look where the recorded player looked
+    if (this.replay) {
+      this.camera.rotation.set(this.lookRotation.x, this.lookRotation.y, 0);
+    }
+
+    this.camera.rotation.z = THREE.MathUtils.lerp(this.previousCameraTilt, this.cameraTilt, alpha);
+    up.y += THREE.MathUtils.lerp(this.previousCameraHeightOffset, this.cameraHeightOffset, alpha);
+
+    // Interpolate between the last two ticks
+    this.camera.position.lerpVectors(this.previousPlayerPosition, this.playerCollider.end, alpha)
       .add(forward)
       .add(side)
       .add(up);
@@ -593,9 +1218,13 @@ export class Game {
   }
 
   updateSpheres(deltaTime) {
+    for (const target of this.targets) {
+      target.timer = Math.max(0, target.timer - deltaTime);
+    }
+
     this.spheres.forEach(sphere => {
       sphere.collider.center.addScaledVector(sphere.velocity, deltaTime);
-      const result = this.worldOctree.sphereIntersect(sphere.collider);
+      const result = this.sphereCollision(sphere.collider);
       if (result) {
         if (!sphere.hasExploded) {
           this.createShockwave(sphere.collider.center.clone(), 0x00aaff);
@@ -608,9 +1237,9 @@ export class Game {
       }
       const damping = Math.exp(-1.5 * deltaTime) - 1;
       sphere.velocity.addScaledVector(sphere.velocity, damping);
+      this.checkTargetHits(sphere);
     });
     this.spheresCollisions();
-    for (const sphere of this.spheres) sphere.mesh.position.copy(sphere.collider.center);
   }
 
   updateShockwaves(deltaTime) {
@@ -620,11 +1249,11 @@ export class Game {
 
       const pos = s.mesh.geometry.attributes.position;
       for (let j = 0; j < s.angles.length; j++) {
-        const r = (1 - s.life) * 6;
+        const r = (1 - s.life) * this.SHOCKWAVE_RADIUS;
         const playerPos = this.playerCollider.end.clone();
         const dist = playerPos.distanceTo(s.position);
 
-        if (dist < r && dist > r - 1) {
+        if (s.launches && dist < r && dist > r - 1) {
           this.playerVelocity.y = 25;
         }
         pos.array[j * 3 + 0] = s.position.x + Math.cos(s.angles[j]) * r;
@@ -643,102 +1272,753 @@ export class Game {
   }
 
   getForwardVector() {
-    this.camera.getWorldDirection(this.playerDirection);
-    this.playerDirection.y = 0;
-    this.playerDirection.normalize();
+    const yaw = this.lookRotation.y;
+    this.playerDirection.set(-Math.sin(yaw), 0, -Math.cos(yaw));
     return this.playerDirection;
   }
 
   getSideVector() {
-    this.camera.getWorldDirection(this.playerDirection);
-    this.playerDirection.y = 0;
-    this.playerDirection.normalize();
-    this.playerDirection.cross(this.camera.up);
+    const yaw = this.lookRotation.y;
+    this.playerDirection.set(Math.cos(yaw), 0, -Math.sin(yaw));
     return this.playerDirection;
   }
 
-  controls(deltaTime) {
-    const speedDelta = deltaTime * (this.playerOnFloor ? this.playerSpeed : this.airControl);
-    if (this.keyStates['KeyW']) this.playerVelocity.add(this.getForwardVector().multiplyScalar(speedDelta));
-    if (this.keyStates['KeyS']) this.playerVelocity.add(this.getForwardVector().multiplyScalar(-speedDelta));
-    if (this.keyStates['KeyA']) this.playerVelocity.add(this.getSideVector().multiplyScalar(-speedDelta));
-    if (this.keyStates['KeyD']) this.playerVelocity.add(this.getSideVector().multiplyScalar(speedDelta));
-    if (this.playerOnFloor && this.keyStates['Space']) this.playerVelocity.y = 20;
+  // Acceleration from movement input - slides only steer a little, crouching slows the player down
+  getMoveSpeed() {
+    if (!this.playerOnFloor || this.sliding) return this.airControl;
+    const speed = this.playerSpeed * SURFACES[this.floorSurface].speedScale;
+    return this.isCrouched() ? speed * this.CROUCH_SPEED_SCALE : speed;
+  }
+
+  controls(deltaTime, input) {
+    const speedDelta = deltaTime * this.getMoveSpeed();
+    if (input.forward) this.playerVelocity.add(this.getForwardVector().multiplyScalar(speedDelta));
+    if (input.back) this.playerVelocity.add(this.getForwardVector().multiplyScalar(-speedDelta));
+    if (input.left) this.playerVelocity.add(this.getSideVector().multiplyScalar(-speedDelta));
+    if (input.right) this.playerVelocity.add(this.getSideVector().multiplyScalar(speedDelta));
+    const jumpScale = SURFACES[this.floorSurface].jumpScale;
+    if (this.playerOnFloor && input.jump) this.playerVelocity.y = 20 * jumpScale;
+    else if (this.playerOnFloor && input.touchJump) this.playerVelocity.y = 12 * jumpScale;
+    else return;
+    this.jumpPressed = false; // Used up by the floor jump, not a wall jump
+  }
+
+  joystickControls(deltaTime, input) {
+    if (input.joystickX !== 0 || input.joystickY !== 0) {
+      const speedDelta = deltaTime * this.getMoveSpeed();
+      this.playerVelocity.add(this.getForwardVector().multiplyScalar(-input.joystickY * speedDelta));
+      this.playerVelocity.add(this.getSideVector().multiplyScalar(input.joystickX * speedDelta));
+    }
+  }
+
+  updateWallRun(deltaTime, input) {
+    if (this.playerOnFloor) {
+      this.wallRunTimer = 0;
+      this.wallContactTimer = 0;
+      this.wallRunAvailable = true;
+      return;
+    }
+
+    if (this.wallContact) this.wallContactTimer = this.WALL_CONTACT_GRACE;
+    else this.wallContactTimer = Math.max(0, this.wallContactTimer - deltaTime);
+
+    if (this.jumpPressed && this.wallContactTimer > 0) {
+      this.wallJump();
+      return;
+    }
+
+    const movingForward = input.forward || input.joystickY < -0.5;
+
+    if (this.wallRunTimer > 0) {
+      this.wallRunTimer = Math.max(0, this.wallRunTimer - deltaTime);
+      if (!movingForward || !this.wallContact) {
+        this.wallRunTimer = 0;
+      } else {
+        this.playerVelocity.addScaledVector(this.wallNormal, -this.WALL_STICK * deltaTime);
+      }
+      return;
+    }
+
+    if (this.wallContact && this.wallRunAvailable && movingForward && this.getWallSpeed() >= this.WALL_RUN_MIN_SPEED) {
+      this.wallRunTimer = this.WALL_RUN_DURATION;
+      this.wallRunAvailable = false;
+      this.playerVelocity.y = THREE.MathUtils.clamp(this.playerVelocity.y, 0, this.WALL_RUN_MAX_RISE);
+    }
+  }
+
+  // Horizontal speed parallel to the wall being touched
+  getWallSpeed() {
+    const along = this.vector3.copy(this.playerVelocity);
+    along.addScaledVector(this.wallNormal, -along.dot(this.wallNormal));
+    along.y = 0;
+    return along.length();
+  }
+
+  wallJump() {
+    this.playerVelocity.addScaledVector(this.wallNormal, this.WALL_JUMP_PUSH);
+    this.playerVelocity.y = this.WALL_JUMP_UP;
+    this.wallRunTimer = 0;
+    this.wallContactTimer = 0;
+    this.wallRunAvailable = true;
+    this.jumpPressed = false;
+  }
+
+  getFloorFriction() {
+    const friction = SURFACES[this.floorSurface].friction;
+    if (!this.sliding) return friction;
+    // Slides last longer on slippery surfaces
+    const t = Math.min(1, this.slideTime / this.SLIDE_FRICTION_TIME);
+    const scale = friction / SURFACES.default.friction;
+    return THREE.MathUtils.lerp(this.SLIDE_FRICTION_START, this.SLIDE_FRICTION_END, t * t) * scale;
+  }
+
+  getPlayerHeight() {
+    return this.playerCollider.end.y - this.playerCollider.start.y;
+  }
+
+  isCrouched() {
+    return this.getPlayerHeight() < this.STAND_HEIGHT;
+  }
+
+  setPlayerHeight(height) {
+    const current = this.getPlayerHeight();
+    if (current === height) return;
+    this.playerCollider.end.copy(this.playerCollider.start);
+    this.playerCollider.end.y += height;
+    this.cameraHeightOffset += current - height;
+  }
+
+  // Whether the capsule can grow to `height` without hitting anything above
+  hasHeadroom(height) {
+    const collider = this.headroomCollider;
+    collider.radius = this.playerCollider.radius - 0.05; // Slimmer, so walls being touched don't count
+    collider.start.copy(this.playerCollider.start);
+    collider.start.y += 0.1; // Lifted off the floor
+    collider.end.copy(this.playerCollider.start);
+    collider.end.y += height;
+    return !this.capsuleHitsWorld(collider);
+  }
+
+  getHorizontalSpeed() {
+    return Math.hypot(this.playerVelocity.x, this.playerVelocity.z);
+  }
+
+  updateCrouch(input) {
+    const crouchPressed = input.crouch && !this.crouchHeld;
+    this.crouchHeld = input.crouch;
+    if (this.ledge) return;
+
+    if (this.sliding) {
+      this.slideTime += this.TICK_DURATION;
+      const speed = this.getHorizontalSpeed();
+      if (!this.hasHeadroom(this.CROUCH_HEIGHT)) {
+        // Never come to a stop somewhere too low to get up
+        if (speed < this.SLIDE_CEILING_SPEED) {
+          this.playerVelocity.x = this.slideDirection.x * this.SLIDE_CEILING_SPEED;
+          this.playerVelocity.z = this.slideDirection.z * this.SLIDE_CEILING_SPEED;
+        }
+        return;
+      }
+      if (this.playerOnFloor && input.crouch && speed >= this.SLIDE_END_SPEED) return;
+      this.sliding = false;
+    } else if (crouchPressed && this.playerOnFloor && this.getHorizontalSpeed() >= this.SLIDE_START_SPEED) {
+      this.startSlide();
+      return;
+    }
+
+    if (input.crouch) {
+      this.setPlayerHeight(this.CROUCH_HEIGHT);
+    } else if (this.isCrouched() && this.hasHeadroom(this.STAND_HEIGHT)) {
+      this.setPlayerHeight(this.STAND_HEIGHT);
+    } else if (this.getPlayerHeight() < this.CROUCH_HEIGHT) {
+      // Out of a slide under a low ceiling - at least get back to crouching
+      this.setPlayerHeight(this.CROUCH_HEIGHT);
+    }
+  }
+
+  startSlide() {
+    this.sliding = true;
+    this.slideTime = 0;
+    this.slideDirection.set(this.playerVelocity.x, 0, this.playerVelocity.z).normalize();
+    this.playerVelocity.addScaledVector(this.slideDirection, this.SLIDE_BOOST);
+    this.setPlayerHeight(this.SLIDE_HEIGHT);
+  }
+
+  // Top of the ledge in front of a point on the wall (`normal` points out of the wall), or null
+  probeLedge(position, normal, fromY) {
+    this.ledgeRay.origin.copy(position).addScaledVector(normal, -(this.playerCollider.radius + this.LEDGE_PROBE_DEPTH));
+    this.ledgeRay.origin.y = fromY;
+    const hit = this.worldOctree.rayIntersect(this.ledgeRay);
+    if (!hit) return null;
+    // Only flat tops can be held on to
+    if (hit.triangle.getNormal(this.vector3).y < 0.7) return null;
+    return hit.position;
+  }
+
+  // Capsule position (start) standing on a ledge, or null when there is no room for a crouched player
+  getMantleTarget(top, normal) {
+    const radius = this.playerCollider.radius;
+    const target = this.vector3.copy(this.playerCollider.end).addScaledVector(normal, -(radius * 2 + 0.1));
+    target.y = top + radius + 0.01;
+
+    const collider = this.headroomCollider;
+    collider.radius = radius - 0.05;
+    collider.start.copy(target);
+    collider.start.y += 0.05;
+    collider.end.copy(target);
+    collider.end.y += this.CROUCH_HEIGHT;
+    return this.capsuleHitsWorld(collider) ? null : target.clone();
+  }
+
+  checkLedgeGrab() {
+    if (this.ledgeCooldown > 0 || this.playerOnFloor || !this.wallContact || this.grapple) return;
+    if (this.playerVelocity.y > this.LEDGE_MAX_RISE) return;
+
+    const eyeY = this.playerCollider.end.y;
+    const hit = this.probeLedge(this.playerCollider.end, this.wallNormal, eyeY + this.LEDGE_REACH);
+    if (!hit || hit.y < eyeY - this.LEDGE_REACH) return;
+    if (!this.getMantleTarget(hit.y, this.wallNormal)) return;
+
+    this.ledge = { top: hit.y, normal: this.wallNormal.clone(), forwardReleased: false, mantle: null };
+    this.playerVelocity.set(0, 0, 0);
+    this.wallRunTimer = 0;
+    this.sliding = false;
+    this.hangAt(this.playerCollider.end.x, this.playerCollider.end.z);
+  }
+
+  hangAt(x, z) {
+    const height = this.getPlayerHeight();
+    this.playerCollider.end.set(x, this.ledge.top - this.LEDGE_HANG_DROP, z);
+    this.playerCollider.start.copy(this.playerCollider.end);
+    this.playerCollider.start.y -= height;
+  }
+
+  releaseLedge() {
+    this.ledge = null;
+    this.ledgeCooldown = this.LEDGE_REGRAB_DELAY;
+  }
+
+  updateLedge(deltaTime, input) {
+    const ledge = this.ledge;
+
+    if (ledge.mantle) {
+      this.updateMantle(deltaTime);
+      return;
+    }
+
+    // Forward only mantles once it has been let go after grabbing, so running into a wall doesn't
+    // skip the hang
+    const forward = input.forward || input.joystickY < -0.5;
+    if (!forward) ledge.forwardReleased = true;
+    if (this.jumpPressed || (forward && ledge.forwardReleased)) {
+      this.startMantle();
+      return;
+    }
+    if (input.back || input.crouch || input.joystickY > 0.5) {
+      this.playerVelocity.copy(ledge.normal).multiplyScalar(2);
+      this.releaseLedge();
+      return;
+    }
+
+    // Shimmy - only onto parts of the edge that are still there and not blocked
+    const move = (input.right ? 1 : 0) - (input.left ? 1 : 0) + input.joystickX;
+    if (move === 0) return;
+    const edge = this.vector1.set(ledge.normal.z, 0, -ledge.normal.x);
+    const next = this.vector2.copy(this.playerCollider.end).addScaledVector(edge, THREE.MathUtils.clamp(move, -1, 1) * this.LEDGE_SHIMMY_SPEED * deltaTime);
+    const hit = this.probeLedge(next, ledge.normal, ledge.top + 0.3);
+    if (!hit || Math.abs(hit.y - ledge.top) > 0.2) return;
+
+    const collider = this.headroomCollider;
+    collider.radius = this.playerCollider.radius - 0.05;
+    collider.end.copy(next);
+    collider.start.copy(next);
+    collider.start.y -= this.getPlayerHeight();
+    if (this.capsuleHitsWorld(collider)) return;
+
+    ledge.top = hit.y;
+    this.hangAt(next.x, next.z);
+  }
+
+  startMantle() {
+    const target = this.getMantleTarget(this.ledge.top, this.ledge.normal);
+    if (!target) return;
+
+    // Mantle crouched, updateCrouch() stands the player up once there is room
+    this.setPlayerHeight(this.CROUCH_HEIGHT);
+    this.ledge.mantle = {
+      time: 0,
+      from: this.playerCollider.end.clone(),
+      to: target.setY(target.y + this.CROUCH_HEIGHT)
+    };
+  }
+
+  // Camera path: straight up to the ledge first, then forward onto it
+  updateMantle(deltaTime) {
+    const mantle = this.ledge.mantle;
+    mantle.time = Math.min(this.MANTLE_DURATION, mantle.time + deltaTime);
+    const t = mantle.time / this.MANTLE_DURATION;
+    const up = THREE.MathUtils.smoothstep(t, 0, 0.6);
+    const forward = THREE.MathUtils.smoothstep(t, 0.4, 1);
+
+    const end = this.playerCollider.end;
+    end.x = THREE.MathUtils.lerp(mantle.from.x, mantle.to.x, forward);
+    end.y = THREE.MathUtils.lerp(mantle.from.y, mantle.to.y, up);
+    end.z = THREE.MathUtils.lerp(mantle.from.z, mantle.to.z, forward);
+    this.playerCollider.start.copy(end);
+    this.playerCollider.start.y -= this.CROUCH_HEIGHT;
+
+    if (t >= 1) {
+      this.playerVelocity.set(0, 0, 0);
+      this.playerOnFloor = true;
+      this.releaseLedge();
+    }
+  }
+
+  canUseAbility(name) {
+    const ability = this.abilities[name];
+    if (!ability || ability.timer > 0) return false;
+    return ability.limit === null || ability.used < ability.limit;
   }
 
-  joystickControls(deltaTime) {
-    if (this.joystickDX !== 0 || this.joystickDY !== 0) {
-      const speedDelta = deltaTime * (this.playerOnFloor ? this.playerSpeed : this.airControl);
-      this.playerVelocity.add(this.getForwardVector().multiplyScalar(-this.joystickDY * speedDelta));
-      this.playerVelocity.add(this.getSideVector().multiplyScalar(this.joystickDX * speedDelta));
+  useAbility(name) {
+    const ability = this.abilities[name];
+    ability.used++;
+    ability.timer = ability.cooldown;
+  }
+
+  updateAbilities(deltaTime, input) {
+    if (this.playerOnFloor || this.wallContact) this.airJumpUsed = false;
+
+    if (this.groundPounding && this.playerOnFloor) {
+      this.groundPounding = false;
+      const feet = this.vector1.copy(this.playerCollider.start);
+      feet.y -= this.playerCollider.radius;
+      this.createShockwave(feet, 0xff8800, false);
+    }
+
+    if (this.dashTimer > 0) {
+      this.dashTimer -= deltaTime;
+      if (this.dashTimer > 0) {
+        this.playerVelocity.set(this.dashDirection.x * this.DASH_SPEED, 0, this.dashDirection.z * this.DASH_SPEED);
+      } else {
+        this.playerVelocity.x = this.dashDirection.x * this.DASH_END_SPEED;
+        this.playerVelocity.z = this.dashDirection.z * this.DASH_END_SPEED;
+      }
+    }
+
+    if (this.playerOnFloor) return;
+
+    // Jump presses not used by a floor or wall jump
+    if (this.jumpPressed && !this.airJumpUsed && this.canUseAbility('doubleJump')) {
+      this.jumpPressed = false;
+      this.airJumpUsed = true;
+      this.useAbility('doubleJump');
+      this.playerVelocity.y = this.DOUBLE_JUMP_VELOCITY;
+      this.groundPounding = false;
+    }
+
+    if (this.dashPressed && this.canUseAbility('dash')) {
+      this.dashPressed = false;
+      this.useAbility('dash');
+      this.startDash(input);
+    }
+
+    if (this.groundPoundPressed && !this.groundPounding && this.canUseAbility('groundPound')) {
+      this.groundPoundPressed = false;
+      this.useAbility('groundPound');
+      this.groundPounding = true;
+      this.dashTimer = 0;
+      this.wallRunTimer = 0;
+      this.playerVelocity.set(0, -this.GROUND_POUND_SPEED, 0);
     }
   }
 
+  // Dashes go where the player is steering, or straight ahead without movement input
+  startDash(input) {
+    const direction = this.dashDirection.set(0, 0, 0);
+    const forward = (input.forward ? 1 : 0) - (input.back ? 1 : 0) - input.joystickY;
+    const side = (input.right ? 1 : 0) - (input.left ? 1 : 0) + input.joystickX;
+    direction.addScaledVector(this.getForwardVector(), forward);
+    direction.addScaledVector(this.getSideVector(), side);
+    if (direction.lengthSq() < 0.01) direction.copy(this.getForwardVector());
+    direction.normalize();
+
+    this.dashTimer = this.DASH_DURATION;
+    this.wallRunTimer = 0;
+    this.groundPounding = false;
+  }
+
   teleportPlayerIfOob() {
-    if (this.camera.position.y <= -25) {
+    if (this.playerCollider.end.y <= -25 || this.isInKillZone(this.playerCollider.start)) {
       this.deathCount++;
-      this.playerCollider.start.set(0, 0.5, 0);
-      this.playerCollider.end.set(0, 1.65, 0);
-      this.playerCollider.radius = 0.35;
-      this.camera.position.copy(this.playerCollider.end);
-      
-      // Use playerLookAt from config if available
-      const rotationY = this.config.playerLookAt?.rotationY || 0;
-      const rotationX = this.config.playerLookAt?.rotationX || 0;
-      this.camera.rotation.set(rotationX, rotationY, 0);
+      this.respawnPlayer();
+    }
+  }
+
+  createZone(object) {
+    if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+    const box = object.geometry.boundingBox;
+    const scale = new THREE.Vector3();
+    const center = box.getCenter(new THREE.Vector3()).applyMatrix4(object.matrixWorld);
+    const quaternion = new THREE.Quaternion();
+    object.matrixWorld.decompose(new THREE.Vector3(), quaternion, scale);
+    const halfSize = box.getSize(new THREE.Vector3()).multiply(scale).multiplyScalar(0.5);
+
+    return {
+      object,
+      center,
+      halfSize: new THREE.Vector3(Math.abs(halfSize.x), Math.abs(halfSize.y), Math.abs(halfSize.z)),
+      inverseQuaternion: quaternion.invert()
+    };
+  }
+
+  isInZone(zone, point, bufferXZ = 0, bufferY = 0) {
+    // Point in the zone's local (unrotated) frame
+    const local = this.vector2.copy(point).sub(zone.center).applyQuaternion(zone.inverseQuaternion);
+    return (
+      Math.abs(local.x) < zone.halfSize.x + bufferXZ &&
+      Math.abs(local.y) < zone.halfSize.y + bufferY &&
+      Math.abs(local.z) < zone.halfSize.z + bufferXZ
+    );
+  }
+
+  initLevelZones() {
+    // Zones are meshes flagged through userData, either by the level loader (config entries and
+    // GLB marker nodes) or directly by custom properties in the GLB (isCompletionPlatform)
+    this.goals = [];
+    this.checkpoints = [];
+    this.killZones = [];
+    this.triggers = [];
+    this.collectibles = [];
+    this.platforms = [];
+    this.groundPlatform = null;
+    this.targets = [];
+    this.grapplePoints = [];
+    const surfaceMeshes = {};
+    let spawnMarker = null;
+
+    this.scene.updateMatrixWorld(true);
+    this.scene.traverse(object => {
+      if (!object.isMesh) return;
+      if (object.userData.isSpawnPoint) {
+        spawnMarker = object;
+      } else if (object.userData.isCompletionPlatform) {
+        this.goals.push(this.createZone(object));
+      } else if (object.userData.isCheckpoint) {
+        const zone = this.createZone(object);
+        zone.index = object.userData.checkpointIndex || 0;
+        zone.reached = false;
+        if (object.material && object.material.color) {
+          zone.baseColor = object.material.color.getHex();
+          zone.baseEmissive = object.material.emissive ? object.material.emissive.getHex() : 0x000000;
+        }
+        this.checkpoints.push(zone);
+      } else if (object.userData.isKillZone) {
+        this.killZones.push(this.createZone(object));
+      } else if (object.userData.isTrigger) {
+        const zone = this.createZone(object);
+        zone.name = object.name;
+        zone.action = object.userData.action || null;
+        zone.once = object.userData.once !== false;
+        zone.fired = false;
+        zone.playerInside = false;
+        this.triggers.push(zone);
+      } else if (object.userData.isCollectible) {
+        this.collectibles.push({ mesh: object, collected: false });
+      } else if (object.userData.isMovingPlatform) {
+        this.platforms.push(new MovingPlatform(object, object.userData.platform || {}));
+      } else if (object.userData.isGrapplePoint) {
+        this.grapplePoints.push(object.getWorldPosition(new THREE.Vector3()));
+      } else if (object.userData.isTarget) {
+        const options = object.userData.target || {};
+        const zone = this.createZone(object);
+        zone.actions = options.actions || [];
+        zone.once = options.once !== false;
+        zone.hits = 0;
+        zone.timer = 0;
+        zone.baseColor = object.material.color.getHex();
+        zone.baseEmissive = object.material.emissive.getHex();
+        this.targets.push(zone);
+      } else if (SURFACES[object.userData.surface] && object.userData.surface !== 'default') {
+        if (!surfaceMeshes[object.userData.surface]) surfaceMeshes[object.userData.surface] = [];
+        surfaceMeshes[object.userData.surface].push(object);
+      }
+    });
+
+    this.surfaceOctrees = Object.keys(SURFACES)
+      .filter(type => surfaceMeshes[type])
+      .map(type => {
+        const octree = new Octree();
+        surfaceMeshes[type].forEach(mesh => octree.fromGraphNode(mesh));
+        return [type, octree];
+      });
+
+    if (spawnMarker) {
+      const position = spawnMarker.getWorldPosition(new THREE.Vector3());
+      const rotation = new THREE.Euler().setFromQuaternion(spawnMarker.getWorldQuaternion(new THREE.Quaternion()), 'YXZ');
+      this.spawnPoint.start.set(position.x, position.y + 0.5, position.z);
+      this.spawnPoint.end.set(position.x, position.y + 1.65, position.z);
+      this.spawnPoint.rotationY = spawnMarker.userData.rotationY ?? rotation.y;
+      this.spawnPoint.rotationX = spawnMarker.userData.rotationX ?? 0;
+      this.respawnPlayer(false);
     }
   }
 
   checkPlatformCollision() {
     if (this.levelCompleted) return;
 
-    // Match these values to your platform in level1.js
-    const platformPos = new THREE.Vector3(-32.1, -6.73, 0.16);
-    const platformSize = new THREE.Vector3(3.55, 0.3, 3.55);
-    const playerPos = this.playerCollider.end.clone();
+    const playerPos = this.vector1.copy(this.playerCollider.end);
 
-    const dx = Math.abs(playerPos.x - platformPos.x);
-    const dy = Math.abs(playerPos.y - platformPos.y);
-    const dz = Math.abs(playerPos.z - platformPos.z);
+    for (const goal of this.goals) {
+      // The extra 0.5 / 1.5 buffers ensure the player doesn’t need pixel-perfect overlap
+      if (this.isInZone(goal, playerPos, 0.5, 1.5)) {
+        this.completeLevel();
+        return;
+      }
+    }
+  }
 
-    // The extra 0.5 / 1.5 buffers ensure the player doesn’t need pixel-perfect overlap
-    if (
-      dx < platformSize.x / 2 + 0.5 &&
-      dy < platformSize.y / 2 + 1.5 &&
-      dz < platformSize.z / 2 + 0.5
-    ) {
-      this.completeLevel();
+  checkCheckpointCollision() {
+    if (this.levelCompleted) return;
+
+    const playerPos = this.vector1.copy(this.playerCollider.end);
+
+    for (const checkpoint of this.checkpoints) {
+      // Only move forward through the level - an earlier checkpoint never replaces a later one
+      if (this.checkpoint && checkpoint.index <= this.checkpoint.index) continue;
+
+      if (this.isInZone(checkpoint, playerPos)) {
+        this.reachCheckpoint(checkpoint);
+        return;
+      }
     }
   }
 
+  reachCheckpoint(checkpoint) {
+    this.checkpoint = {
+      index: checkpoint.index,
+      start: this.playerCollider.start.clone(),
+      end: this.playerCollider.end.clone(),
+      rotationX: this.lookRotation.x,
+      rotationY: this.lookRotation.y
+    };
+    this.checkpointsReached++;
+    this.setCheckpointLit(checkpoint, true);
+
+    if (this.silent) return;
+
+    audio.play('checkpoint');
+
+    this.showNotice('CHECKPOINT');
+  }
+
+  // Lit markers show reached checkpoints
+  setCheckpointLit(checkpoint, lit) {
+    checkpoint.reached = lit;
+    const material = checkpoint.object.material;
+    if (!material || !material.color) return;
+    material.color.set(lit ? 0x00ff88 : checkpoint.baseColor);
+    if (material.emissive) material.emissive.set(lit ? 0x00ff88 : checkpoint.baseEmissive);
+  }
+
+  checkTargetHits(sphere) {
+    const radius = sphere.collider.radius;
+    for (const target of this.targets) {
+      if (target.timer > 0 || (target.once && target.hits > 0)) continue;
+      if (!this.isInZone(target, sphere.collider.center, radius, radius)) continue;
+
+      target.hits++;
+      target.timer = this.TARGET_RETRIGGER;
+      sphere.velocity.multiplyScalar(-0.4); // Knocked back off the target
+      // Switches light up and go dark with every hit
+      this.setTargetLit(target, target.once || target.hits % 2 === 1);
+      target.actions.forEach(action => this.runTargetAction(action));
+
+      if (this.silent) continue;
+      audio.play('targetHit', { position: target.center });
+    }
+  }
+
+  // action: { type: 'open' | 'close' | 'toggle', platform: id, duration? } for doors and bridges,
+  // { type: 'start', platform: id } for platforms waiting with active: false, or { type: 'message', text }.
+  // Doors opened with a duration (seconds) close again when it runs out.
+  runTargetAction(action) {
+    if (action.type === 'message') {
+      if (action.text) this.showNotice(action.text);
+      return;
+    }
+
+    // The level loader refuses actions naming a platform that doesn't exist
+    const platform = this.platforms.find(p => p.id === action.platform);
+    if (!platform) return;
+    const closeAt = action.duration ? this.tickCount + Math.round(action.duration * this.TICK_RATE) : null;
+    switch (action.type) {
+      case 'open':
+        platform.setOpen(true, closeAt);
+        break;
+      case 'close':
+        platform.setOpen(false);
+        break;
+      case 'toggle':
+        platform.setOpen(!platform.opened, closeAt);
+        break;
+      case 'start':
+        platform.start(this.tickCount);
+        break;
+    }
+  }
+
+  setTargetLit(target, lit) {
+    const material = target.object.material;
+    material.color.set(lit ? 0x33ff66 : target.baseColor);
+    material.emissive.set(lit ? 0x116622 : target.baseEmissive);
+  }
+
+  showNotice(text) {
+    if (this.silent) return;
+    const notice = document.getElementById('game-notice');
+    if (!notice) return;
+    notice.textContent = text;
+    notice.classList.remove('show');
+    // Force reflow so the animation restarts when notices come back to back
+    void notice.offsetWidth;
+    notice.classList.add('show');
+  }
+
+  isInKillZone(point) {
+    for (const zone of this.killZones) {
+      // Kill zones reach down forever, so a flat kill plane catches anything that falls below it
+      const local = this.vector2.copy(point).sub(zone.center).applyQuaternion(zone.inverseQuaternion);
+      if (
+        Math.abs(local.x) < zone.halfSize.x &&
+        local.y < zone.halfSize.y &&
+        Math.abs(local.z) < zone.halfSize.z
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  checkTriggers() {
+    if (this.levelCompleted) return;
+
+    const playerPos = this.vector1.copy(this.playerCollider.end);
+
+    for (const trigger of this.triggers) {
+      const inside = this.isInZone(trigger, playerPos);
+      // Fire on enter only
+      if (inside && !trigger.playerInside && !(trigger.once && trigger.fired)) {
+        trigger.fired = true;
+        this.handleTrigger(trigger);
+      }
+      trigger.playerInside = inside;
+    }
+  }
+
+  handleTrigger(trigger) {
+    const data = trigger.object.userData;
+
+    switch (trigger.action) {
+      case 'message':
+        if (data.text) this.showNotice(data.text);
+        break;
+    }
+  }
+
+  checkCollectibles() {
+    const center = this.vector1.addVectors(this.playerCollider.start, this.playerCollider.end).multiplyScalar(0.5);
+
+    for (const collectible of this.collectibles) {
+      if (collectible.collected) continue;
+      if (center.distanceTo(collectible.mesh.position) < this.playerCollider.radius + 0.8) {
+        collectible.collected = true;
+        collectible.mesh.visible = false;
+        this.collectiblesCollected++;
+        if (this.silent) continue;
+
+        audio.play('collect');
+      }
+    }
+  }
+
+  respawnPlayer(useCheckpoint = true) {
+    const respawn = (useCheckpoint && this.checkpoint) || this.spawnPoint;
+    if (respawn === this.checkpoint) this.checkpointRespawns++;
+
+    this.playerCollider.start.copy(respawn.start);
+    this.playerCollider.end.copy(respawn.end);
+    this.playerCollider.radius = 0.35;
+    this.playerVelocity.set(0, 0, 0);
+    this.previousPlayerPosition.copy(this.playerCollider.end);
+    this.camera.position.copy(this.playerCollider.end);
+    this.camera.rotation.set(respawn.rotationX, respawn.rotationY, 0);
+    this.lookRotation.set(respawn.rotationX, respawn.rotationY, 0);
+    this.wallRunTimer = 0;
+    this.wallContactTimer = 0;
+    this.cameraTilt = 0;
+    this.previousCameraTilt = 0;
+    this.sliding = false;
+    this.cameraHeightOffset = 0;
+    this.previousCameraHeightOffset = 0;
+    this.ledge = null;
+    this.dashTimer = 0;
+    this.groundPounding = false;
+    this.groundPlatform = null;
+    this.floorSurface = 'default';
+    this.grapple = null;
+  }
+
+  // Respawns happen inside the simulation so replays reproduce them
+  requestRespawn() {
+    this.pendingRespawn = true;
+  }
+
   completeLevel() {
     this.levelCompleted = true;
     
+    // Watching a replay never counts as a run
+    if (this.replay) {
+      this.completionTime = this.getElapsedTime();
+      return;
+    }
+    
     // Unload walking sound completely
     this.unloadWalkingSound();
     
     // Capture completion time BEFORE pausing
-    const elapsedTime = (performance.now() - this.startTime - this.pausedTime) / 1000;
+    const elapsedTime = this.getElapsedTime();
     this.completionTime = elapsedTime;
     const formattedTime = this.formatTime(elapsedTime);
     
-    // Calculate stars
-    const stars = this.calculateStars(elapsedTime, this.deathCount);
+    // Evaluate this level's missions and calculate stars
+    const run = this.getRunStats(elapsedTime);
+    const missions = evaluateMissions(this.config.missions, run);
+    const stars = this.calculateStars(missions);
     
     // Save level stats
     if (window.saveLevelStats) {
       window.saveLevelStats(this.levelNumber, {
         time: elapsedTime,
         deaths: this.deathCount,
-        stars: stars
+        ballsUsed: run.ballsUsed,
+        stars: stars,
+        missions: missions
       });
     }
     
+    // Save this run's path (kept only if it is the new best)
+    this.ghostRecorder.sample(elapsedTime, this.playerCollider.end, this.lookRotation.y, true);
+    if (window.saveGhost) {
+      window.saveGhost(this.levelNumber, this.ghostRecorder.toData(elapsedTime));
+    }
+    if (this.ghost) this.ghost.setVisible(false);
+    this.hideGhostDelta();
+    
     this.pause();
 
     // Play level completion sound
-    const completionSound = new Audio('sound/levelCompleted.mp3');
-    completionSound.play().catch(err => console.log('Completion sound error:', err));
+    audio.play('levelCompleted');
 
     const completionScreen = document.getElementById('completion-screen');
     const levelNumberEl = document.getElementById('completion-level-number');
@@ -747,11 +2027,14 @@ export class Game {
     levelNumberEl.textContent = this.levelNumber;
     timeEl.textContent = formattedTime;
 
-    // Reset all stars to hidden
-    const starElements = document.querySelectorAll('.completion-star');
-    starElements.forEach(star => {
-      star.classList.remove('earned', 'grey');
-    });
+    // One hidden star for each star the level's missions are worth
+    const starsContainer = document.getElementById('completion-stars-container');
+    starsContainer.innerHTML = '';
+    for (let i = 0; i < getMaxStars(this.config.missions); i++) {
+      const star = document.createElement('div');
+      star.className = 'completion-star';
+      starsContainer.appendChild(star);
+    }
 
     completionScreen.classList.add('active');
 
@@ -770,8 +2053,6 @@ export class Game {
 
   animateStars(earnedStars) {
     const starElements = document.querySelectorAll('.completion-star');
-    const starSound = new Audio('sound/startBtn.mp3');
-    
     // First show all stars as grey
     starElements.forEach((star, index) => {
       setTimeout(() => {
@@ -787,27 +2068,25 @@ export class Game {
           starElements[i].classList.add('earned');
           
           // Play sound for each earned star
-          const sound = new Audio('sound/startBtn.mp3');
-          sound.volume = 0.6;
-          sound.play().catch(err => console.log('Star sound error:', err));
+          audio.play('star');
         }, i * 600);
       }
     }, starElements.length * 300 + 400);
   }
 
-  calculateStars(timeInSeconds, deaths) {
-    let stars = 0;
-    
-    // Star 1: Complete under 2 minutes (120 seconds)
-    if (timeInSeconds < 120) stars++;
-    
-    // Star 2: Complete under 1 minute (60 seconds)
-    if (timeInSeconds < 60) stars++;
-    
-    // Star 3: Die less than 5 times
-    if (deaths < 5) stars++;
-    
-    return stars;
+  getRunStats(timeInSeconds) {
+    return {
+      time: timeInSeconds,
+      deaths: this.deathCount,
+      ballsUsed: this.ballsThrown,
+      collectibles: this.collectiblesCollected,
+      totalCollectibles: this.collectibles.length,
+      checkpointRespawns: this.checkpointRespawns
+    };
+  }
+
+  calculateStars(completedMissions) {
+    return countStars(this.config.missions, completedMissions);
   }
 
   formatTime(seconds) {
@@ -838,70 +2117,537 @@ export class Game {
     }
   }
 
+  getElapsedTime() {
+    if (this.startTick === null) return 0;
+    return (this.tickCount - this.startTick) * this.TICK_DURATION;
+  }
+
+  setGhost(data) {
+    if (this.ghost) this.ghost.destroy();
+    this.ghost = data && data.frames && data.frames.length ? new Ghost(this.scene, data) : null;
+  }
+
+  setGhostEnabled(enabled) {
+    this.ghostEnabled = enabled;
+    if (this.ghost) this.ghost.setVisible(enabled && this.startTick !== null && !this.levelCompleted);
+    if (!enabled) this.hideGhostDelta();
+  }
+
+  updateGhost(elapsedTime) {
+    this.ghostRecorder.sample(elapsedTime, this.playerCollider.end, this.lookRotation.y);
+
+    if (!this.ghost || !this.ghostEnabled) return;
+
+    // Ghost shows up together with the timer, on first movement
+    this.ghost.setVisible(true);
+    this.ghost.update(elapsedTime);
+
+    const deltaElement = document.getElementById('ghost-delta');
+    if (deltaElement) {
+      const delta = this.ghost.getDelta(elapsedTime, this.playerCollider.end);
+      deltaElement.style.display = 'block';
+      deltaElement.textContent = `${delta <= 0 ? '-' : '+'}${Math.abs(delta).toFixed(2)}s`;
+      deltaElement.classList.toggle('ahead', delta <= 0);
+      deltaElement.classList.toggle('behind', delta > 0);
+    }
+  }
+
+  // Cooldown fill and remaining uses for the slots index.html builds in #ability-hud
+  updateAbilityHud() {
+    for (const [name, ability] of Object.entries(this.abilities)) {
+      const slot = document.querySelector(`.ability-slot[data-ability="${name}"]`);
+      if (!slot) continue;
+      const fill = slot.querySelector('.ability-cooldown');
+      const uses = slot.querySelector('.ability-uses');
+      const ratio = ability.cooldown > 0 ? ability.timer / ability.cooldown : 0;
+      if (fill) fill.style.transform = `scaleY(${ratio})`;
+      if (uses) uses.textContent = ability.limit === null ? '' : `${ability.limit - ability.used}`;
+      slot.classList.toggle('spent', ability.limit !== null && ability.used >= ability.limit);
+    }
+  }
+
+  // Countdown until the last timed door closes
+  updateSwitchTimer() {
+    const timerElement = document.getElementById('switch-timer');
+    if (!timerElement) return;
+
+    let closeAt = null;
+    for (const platform of this.platforms) {
+      if (platform.closeAt !== null) closeAt = Math.max(closeAt ?? 0, platform.closeAt);
+    }
+    if (closeAt === null) {
+      timerElement.style.display = 'none';
+      return;
+    }
+    timerElement.style.display = 'block';
+    timerElement.textContent = `⏱ ${Math.max(0, (closeAt - this.tickCount) * this.TICK_DURATION).toFixed(1)}s`;
+  }
+
+  hideGhostDelta() {
+    const deltaElement = document.getElementById('ghost-delta');
+    if (deltaElement) deltaElement.style.display = 'none';
+  }
+
   startTimer() {
-    if (!this.startTime) {
-      this.startTime = performance.now();
+    if (this.startTick === null) {
+      this.startTick = this.tickCount;
     }
   }
 
   resetTimer() {
-    this.startTime = null;
-    this.pausedTime = 0;
-    this.pauseStartTime = null;
+    this.startTick = null;
     this.completionTime = null;
     this.levelCompleted = false;
     this.deathCount = 0;
+    this.checkpointsReached = 0;
+    this.checkpointRespawns = 0;
+    this.checkpoint = null;
   }
 
-  animate() {
-    if (this.isPaused) return;
+  getReplayData() {
+    return this.replayRecorder.toData({
+      levelNumber: this.levelNumber,
+      configHash: this.configHash,
+      tickRate: this.TICK_RATE,
+      stepsPerTick: this.STEPS_PER_TICK,
+      time: this.completionTime
+    });
+  }
+
+  // data: this level's replay, imported ones are checked by decodeReplay()
+  startReplay(data) {
+    this.replay = new ReplayPlayer(data);
+    this.setGhost(null);
+    this.hideGhostDelta();
+    this.accumulator = 0;
+    this.replay.keyframes.set(this.tickCount, this.captureState());
+  }
+
+  advanceReplay(frameTime) {
+    if (!this.replay.playing) return;
+
+    this.accumulator += frameTime * this.replay.speed;
+    while (this.accumulator >= this.TICK_DURATION) {
+      if (!this.stepReplay()) {
+        // End of the recording
+        this.replay.playing = false;
+        this.accumulator = 0;
+        break;
+      }
+      this.accumulator -= this.TICK_DURATION;
+    }
+  }
+
+  stepReplay() {
+    const input = this.replay.inputAt(this.tickCount);
+    if (!input) return false;
+
+    this.simulateTick(input);
+    if (this.tickCount % this.REPLAY_KEYFRAME_INTERVAL === 0 && !this.replay.keyframes.has(this.tickCount)) {
+      this.replay.keyframes.set(this.tickCount, this.captureState());
+    }
+    return true;
+  }
+
+  seekReplay(tick) {
+    const target = Math.max(0, Math.min(Math.round(tick), this.replay.totalTicks));
+
+    // Resume from the latest saved state before the target when it saves simulating, then run forward
+    let keyframeTick = -1;
+    for (const frameTick of this.replay.keyframes.keys()) {
+      if (frameTick <= target && frameTick > keyframeTick) keyframeTick = frameTick;
+    }
+    if (target < this.tickCount || keyframeTick > this.tickCount) {
+      this.restoreState(this.replay.keyframes.get(keyframeTick));
+    }
+
+    this.silent = true;
+    while (this.tickCount < target && this.stepReplay()) {
+      // Fast-forward
+    }
+    this.silent = false;
+
+    this.accumulator = 0;
+    this.previousPlayerPosition.copy(this.playerCollider.end);
+    this.previousCameraTilt = this.cameraTilt;
+    this.previousCameraHeightOffset = this.cameraHeightOffset;
+    for (const sphere of this.spheres) sphere.previousCenter.copy(sphere.collider.center);
+  }
+
+  setReplayPlaying(playing) {
+    if (!this.replay) return;
+    // Pressing play at the end starts over
+    if (playing && this.tickCount >= this.replay.totalTicks) this.seekReplay(0);
+    this.replay.playing = playing;
+  }
+
+  setReplaySpeed(speed) {
+    if (this.replay) this.replay.speed = speed;
+  }
+
+  setReplayCameraMode(mode) {
+    this.replayCameraMode = mode;
+  }
+
+  updateFreeCamera(frameTime) {
+    // Mouse look works as in game, the move actions fly, jump / dash move up and down
+    const speed = 15 * frameTime;
+    const direction = this.camera.getWorldDirection(this.vector1);
+    const side = this.vector2.crossVectors(direction, this.camera.up).normalize();
+    if (this.isActionHeld('forward')) this.camera.position.addScaledVector(direction, speed);
+    if (this.isActionHeld('back')) this.camera.position.addScaledVector(direction, -speed);
+    if (this.isActionHeld('left')) this.camera.position.addScaledVector(side, -speed);
+    if (this.isActionHeld('right')) this.camera.position.addScaledVector(side, speed);
+    if (this.isActionHeld('jump')) this.camera.position.y += speed;
+    if (this.isActionHeld('dash')) this.camera.position.y -= speed;
+  }
+
+  // Everything simulateTick() reads or writes, used as replay seek points
+  captureState() {
+    return {
+      tickCount: this.tickCount,
+      startTick: this.startTick,
+      playerStart: this.playerCollider.start.clone(),
+      playerEnd: this.playerCollider.end.clone(),
+      playerRadius: this.playerCollider.radius,
+      playerVelocity: this.playerVelocity.clone(),
+      playerOnFloor: this.playerOnFloor,
+      floorSurface: this.floorSurface,
+      wallNormal: this.wallNormal.clone(),
+      wallContactTimer: this.wallContactTimer,
+      wallRunTimer: this.wallRunTimer,
+      wallRunAvailable: this.wallRunAvailable,
+      jumpHeld: this.jumpHeld,
+      cameraTilt: this.cameraTilt,
+      crouchHeld: this.crouchHeld,
+      sliding: this.sliding,
+      slideTime: this.slideTime,
+      slideDirection: this.slideDirection.clone(),
+      cameraHeightOffset: this.cameraHeightOffset,
+      ledge: this.ledge && {
+        top: this.ledge.top,
+        normal: this.ledge.normal.clone(),
+        forwardReleased: this.ledge.forwardReleased,
+        mantle: this.ledge.mantle && { ...this.ledge.mantle, from: this.ledge.mantle.from.clone(), to: this.ledge.mantle.to.clone() }
+      },
+      ledgeCooldown: this.ledgeCooldown,
+      abilities: Object.fromEntries(Object.entries(this.abilities).map(([name, ability]) => [name, { ...ability }])),
+      airJumpUsed: this.airJumpUsed,
+      dashTimer: this.dashTimer,
+      dashDirection: this.dashDirection.clone(),
+      dashHeld: this.dashHeld,
+      groundPoundHeld: this.groundPoundHeld,
+      groundPounding: this.groundPounding,
+      grapple: this.grapple && { point: this.grapple.point.clone(), length: this.grapple.length },
+      grapplesUsed: this.grapplesUsed,
+      grappleHeld: this.grappleHeld,
+      lookRotation: this.lookRotation.clone(),
+      spheres: this.spheres.map(sphere => ({
+        center: sphere.collider.center.clone(),
+        velocity: sphere.velocity.clone(),
+        hasExploded: sphere.hasExploded
+      })),
+      sphereIdx: this.sphereIdx,
+      ballsThrown: this.ballsThrown,
+      throwTimer: this.throwTimer,
+      shockwaves: this.shockwaves.map(s => ({ position: s.position.clone(), color: s.color, launches: s.launches, life: s.life })),
+      deathCount: this.deathCount,
+      checkpoint: this.checkpoint,
+      checkpointsReached: this.checkpointsReached,
+      checkpointRespawns: this.checkpointRespawns,
+      litCheckpoints: this.checkpoints.map(checkpoint => checkpoint.reached),
+      collected: this.collectibles.map(collectible => collectible.collected),
+      collectiblesCollected: this.collectiblesCollected,
+      triggers: this.triggers.map(trigger => ({ fired: trigger.fired, playerInside: trigger.playerInside })),
+      platforms: this.platforms.map(platform => platform.getState()),
+      targets: this.targets.map(target => ({ hits: target.hits, timer: target.timer })),
+      groundPlatform: this.platforms.indexOf(this.groundPlatform),
+      levelCompleted: this.levelCompleted,
+      completionTime: this.completionTime
+    };
+  }
 
-    const deltaTime = Math.min(0.05, this.clock.getDelta()) / this.STEPS_PER_FRAME;
-    for (let i = 0; i < this.STEPS_PER_FRAME; i++) {
-      this.controls(deltaTime);
-      this.joystickControls(deltaTime);
-      this.updatePlayer(deltaTime);
+  restoreState(state) {
+    this.tickCount = state.tickCount;
+    this.startTick = state.startTick;
+    this.playerCollider.start.copy(state.playerStart);
+    this.playerCollider.end.copy(state.playerEnd);
+    this.playerCollider.radius = state.playerRadius;
+    this.playerVelocity.copy(state.playerVelocity);
+    this.playerOnFloor = state.playerOnFloor;
+    this.floorSurface = state.floorSurface;
+    this.wallNormal.copy(state.wallNormal);
+    this.wallContactTimer = state.wallContactTimer;
+    this.wallRunTimer = state.wallRunTimer;
+    this.wallRunAvailable = state.wallRunAvailable;
+    this.jumpHeld = state.jumpHeld;
+    this.cameraTilt = state.cameraTilt;
+    this.crouchHeld = state.crouchHeld;
+    this.sliding = state.sliding;
+    this.slideTime = state.slideTime;
+    this.slideDirection.copy(state.slideDirection);
+    this.cameraHeightOffset = state.cameraHeightOffset;
+    this.ledge = state.ledge && {
+      top: state.ledge.top,
+      normal: state.ledge.normal.clone(),
+      forwardReleased: state.ledge.forwardReleased,
+      mantle: state.ledge.mantle && { ...state.ledge.mantle, from: state.ledge.mantle.from.clone(), to: state.ledge.mantle.to.clone() }
+    };
+    this.ledgeCooldown = state.ledgeCooldown;
+    Object.entries(state.abilities).forEach(([name, ability]) => Object.assign(this.abilities[name], ability));
+    this.airJumpUsed = state.airJumpUsed;
+    this.dashTimer = state.dashTimer;
+    this.dashDirection.copy(state.dashDirection);
+    this.dashHeld = state.dashHeld;
+    this.groundPoundHeld = state.groundPoundHeld;
+    this.groundPounding = state.groundPounding;
+    this.grapple = state.grapple && { point: state.grapple.point.clone(), length: state.grapple.length };
+    this.grapplesUsed = state.grapplesUsed;
+    this.grappleHeld = state.grappleHeld;
+    this.lookRotation.copy(state.lookRotation);
+
+    state.spheres.forEach((saved, i) => {
+      const sphere = this.spheres[i];
+      sphere.collider.center.copy(saved.center);
+      sphere.velocity.copy(saved.velocity);
+      sphere.hasExploded = saved.hasExploded;
+    });
+    this.sphereIdx = state.sphereIdx;
+    this.ballsThrown = state.ballsThrown;
+    this.throwTimer = state.throwTimer;
+
+    this.shockwaves.forEach(shockwave => {
+      this.scene.remove(shockwave.mesh);
+      shockwave.mesh.geometry.dispose();
+      shockwave.mesh.material.dispose();
+    });
+    this.shockwaves = state.shockwaves.map(saved => ({
+      ...this.createShockwaveMesh(saved.position, saved.color),
+      color: saved.color,
+      launches: saved.launches,
+      life: saved.life,
+      position: saved.position.clone()
+    }));
+
+    this.deathCount = state.deathCount;
+    this.checkpoint = state.checkpoint;
+    this.checkpointsReached = state.checkpointsReached;
+    this.checkpointRespawns = state.checkpointRespawns;
+    this.checkpoints.forEach((checkpoint, i) => this.setCheckpointLit(checkpoint, state.litCheckpoints[i]));
+
+    this.collectibles.forEach((collectible, i) => {
+      collectible.collected = state.collected[i];
+      collectible.mesh.visible = !collectible.collected;
+    });
+    this.collectiblesCollected = state.collectiblesCollected;
+    this.triggers.forEach((trigger, i) => Object.assign(trigger, state.triggers[i]));
+    this.platforms.forEach((platform, i) => {
+      platform.setState(state.platforms[i]);
+      platform.reset(state.tickCount, this.TICK_DURATION);
+    });
+    this.targets.forEach((target, i) => {
+      Object.assign(target, state.targets[i]);
+      this.setTargetLit(target, target.hits > 0 && (target.once || target.hits % 2 === 1));
+    });
+    this.groundPlatform = this.platforms[state.groundPlatform] || null;
+
+    this.levelCompleted = state.levelCompleted;
+    this.completionTime = state.completionTime;
+  }
+
+  // Snapshot of everything the simulation reads from the player for one tick
+  sampleInput() {
+    const input = {
+      forward: this.isActionHeld('forward'),
+      back: this.isActionHeld('back'),
+      left: this.isActionHeld('left'),
+      right: this.isActionHeld('right'),
+      jump: this.isActionHeld('jump'),
+      touchJump: this.touchJumpHeld,
+      crouch: this.isActionHeld('crouch') || this.touchCrouchHeld,
+      dash: this.isActionHeld('dash') || this.touchDashHeld,
+      groundPound: this.isActionHeld('groundPound') || this.touchGroundPoundHeld,
+      grapple: this.isActionHeld('grapple') || this.touchGrappleHeld,
+      joystickX: this.joystickDX || this.gamepad.move.x,
+      joystickY: this.joystickDY || this.gamepad.move.y,
+      yaw: this.camera.rotation.y,
+      pitch: this.camera.rotation.x,
+      throwCharge: this.pendingThrowCharge,
+      respawn: this.pendingRespawn
+    };
+    this.pendingThrowCharge = null;
+    this.pendingRespawn = false;
+    return input;
+  }
+
+  // Advances the simulation by one fixed tick. Given the same state and inputs the result is identical.
+  simulateTick(input) {
+    this.lookRotation.set(input.pitch, input.yaw, 0);
+
+    if (input.respawn) {
+      this.respawnPlayer(true);
+    }
+
+    // Wall jumps need a fresh press, holding jump only repeats floor jumps
+    const jumpDown = input.jump || input.touchJump;
+    this.jumpPressed = jumpDown && !this.jumpHeld;
+    this.jumpHeld = jumpDown;
+    this.dashPressed = input.dash && !this.dashHeld;
+    this.dashHeld = input.dash;
+    this.groundPoundPressed = input.groundPound && !this.groundPoundHeld;
+    this.groundPoundHeld = input.groundPound;
+    const grapplePressed = input.grapple && !this.grappleHeld;
+    this.grappleHeld = input.grapple;
+    for (const ability of Object.values(this.abilities)) {
+      ability.timer = Math.max(0, ability.timer - this.TICK_DURATION);
+    }
+
+    // Before the previous position is stored, so camera height changes are eased instead of interpolated
+    this.updateCrouch(input);
+
+    const moving = input.forward || input.back || input.left || input.right ||
+                   input.joystickX !== 0 || input.joystickY !== 0;
+    if (moving) {
+      this.startTimer();
+    }
+
+    if (input.throwCharge !== null) {
+      this.throwBall(input.throwCharge);
+    }
+    if (grapplePressed) {
+      this.fireGrapple();
+    }
+
+    this.previousPlayerPosition.copy(this.playerCollider.end);
+    for (const sphere of this.spheres) sphere.previousCenter.copy(sphere.collider.center);
+    const wasOnFloor = this.playerOnFloor;
+    const previousVelocityY = this.playerVelocity.y;
+    this.updatePlatforms();
+
+    const deltaTime = this.TICK_DURATION / this.STEPS_PER_TICK;
+    for (let i = 0; i < this.STEPS_PER_TICK; i++) {
+      this.ledgeCooldown = Math.max(0, this.ledgeCooldown - deltaTime);
+      if (this.ledge) {
+        this.updateLedge(deltaTime, input);
+      } else {
+        this.controls(deltaTime, input);
+        this.joystickControls(deltaTime, input);
+        this.updatePlayer(deltaTime);
+        this.updateGrapple(deltaTime, input);
+        this.updateWallRun(deltaTime, input);
+        this.checkLedgeGrab();
+        if (!this.ledge) this.updateAbilities(deltaTime, input);
+      }
       if (this.useBalls) {
         this.updateSpheres(deltaTime);
       }
       this.teleportPlayerIfOob();
+      this.checkCheckpointCollision();
+      this.checkTriggers();
+      this.checkCollectibles();
       this.checkPlatformCollision();
+      if (this.levelCompleted) break;
     }
 
-    const moving = this.keyStates['KeyW'] || this.keyStates['KeyA'] || this.keyStates['KeyS'] ||
-                   this.keyStates['KeyD'] || this.joystickDX !== 0 || this.joystickDY !== 0;
+    this.updateShockwaves(deltaTime);
+    this.playMovementSounds(wasOnFloor, previousVelocityY);
+
+    // Lean away from the wall while wall-running, slightly to the side while sliding
+    this.previousCameraTilt = this.cameraTilt;
+    let tiltTarget = 0;
+    if (this.wallRunTimer > 0) tiltTarget = -this.WALL_RUN_TILT * this.wallNormal.dot(this.getSideVector());
+    else if (this.sliding) tiltTarget = this.SLIDE_TILT;
+    this.cameraTilt += (tiltTarget - this.cameraTilt) * 0.25;
+    this.previousCameraHeightOffset = this.cameraHeightOffset;
+    this.cameraHeightOffset *= 0.75;
+
+    this.throwTimer = Math.max(0, this.throwTimer - this.TICK_DURATION);
+    this.tickCount++;
+  }
 
-    if (moving) {
-      this.startTimer();
+  // Jump and landing sounds, from how the player's state changed over the tick. A sharp upward kick is any
+  // kind of jump (floor, wall, double, bounce pad), touching the floor after falling fast enough a landing.
+  playMovementSounds(wasOnFloor, previousVelocityY) {
+    if (this.silent) return;
+    const velocityY = this.playerVelocity.y;
+    if (velocityY > this.JUMP_SOUND_SPEED && velocityY - previousVelocityY > this.JUMP_SOUND_SPEED) {
+      audio.play('jump');
+    } else if (this.playerOnFloor && !wasOnFloor && -previousVelocityY > this.LAND_SOUND_SPEED) {
+      // Louder the harder the landing
+      audio.play('land', { volume: Math.min(1, -previousVelocityY / 30) });
     }
+  }
+
+  animate() {
+    if (this.isPaused) return;
 
-    const shouldPlayWalkingSound = moving && this.playerOnFloor;
-    if (shouldPlayWalkingSound && !this.isWalkingSoundPlaying) {
-      this.walkingSound.play().catch(err => console.log('Walking sound error:', err));
-      this.isWalkingSoundPlaying = true;
-    } else if (!shouldPlayWalkingSound && this.isWalkingSoundPlaying) {
-      this.walkingSound.pause();
-      this.walkingSound.currentTime = 0;
-      this.isWalkingSoundPlaying = false;
+    const frameTime = Math.min(this.MAX_FRAME_TIME, this.clock.getDelta());
+    this.updateGamepad(frameTime);
+    if (this.replay) {
+      this.advanceReplay(frameTime);
+    } else {
+      this.accumulator += frameTime;
+      while (this.accumulator >= this.TICK_DURATION && !this.isPaused) {
+        const input = this.sampleInput();
+        this.replayRecorder.record(input);
+        this.simulateTick(input);
+        this.accumulator -= this.TICK_DURATION;
+      }
+    }
+
+    // Render state between the previous and the current tick
+    const alpha = this.accumulator / this.TICK_DURATION;
+    if (this.replay && this.replayCameraMode === 'free') {
+      this.updateFreeCamera(frameTime);
+    } else {
+      this.updateCamera(alpha);
+    }
+    for (const sphere of this.spheres) {
+      sphere.mesh.position.lerpVectors(sphere.previousCenter, sphere.collider.center, alpha);
+    }
+    for (const platform of this.platforms) {
+      platform.render(alpha, this.tickCount);
+    }
+    this.camera.updateMatrixWorld();
+    audio.setListener(this.camera);
+
+    const moving = this.isActionHeld('forward') || this.isActionHeld('left') || this.isActionHeld('back') ||
+                   this.isActionHeld('right') || this.joystickDX !== 0 || this.joystickDY !== 0 ||
+                   this.gamepad.move.x !== 0 || this.gamepad.move.y !== 0;
+
+    // Switch loops when the player lands on a different surface
+    const footstepSound = this.getFootstepSound(this.floorSurface);
+    if (this.playerOnFloor && footstepSound !== this.walkingSound) {
+      this.walkingSound.stop();
+      this.walkingSound = footstepSound;
+    }
+
+    const shouldPlayWalkingSound = moving && this.playerOnFloor && !this.sliding && !this.levelCompleted && !this.replay;
+    // The loop doesn't play until its sound has loaded, start() is tried again every frame until then
+    if (shouldPlayWalkingSound && !this.walkingSound.isPlaying()) {
+      this.walkingSound.start();
+    } else if (!shouldPlayWalkingSound && this.walkingSound.isPlaying()) {
+      this.walkingSound.stop();
     }
 
 
     const timerElement = document.getElementById('game-timer');
-    if (timerElement && this.startTime) {
+    if (timerElement && this.startTick !== null) {
       let elapsedTime;
       if (this.levelCompleted && this.completionTime !== null) {
         // Show frozen completion time
         elapsedTime = this.completionTime;
       } else {
-        // Calculate current elapsed time minus paused duration
-        elapsedTime = (performance.now() - this.startTime - this.pausedTime) / 1000;
+        elapsedTime = this.getElapsedTime();
       }
       timerElement.textContent = this.formatTime(elapsedTime);
     }
 
-    if (this.useBalls) {
-      this.throwTimer = Math.max(0, this.throwTimer - this.clock.getDelta());
+    if (this.startTick !== null && !this.levelCompleted && !this.replay) {
+      this.updateGhost(this.getElapsedTime());
+    }
 
+    if (this.useBalls) {
       const cooldownFill = document.getElementById('throw-cooldown-fill');
       const throwCount = document.getElementById('throw-count');
       const ratio = 1 - (this.throwTimer / this.throwCooldown);
@@ -912,6 +2658,22 @@ export class Game {
       }
     }
 
-    this.updateShockwaves(deltaTime);
+    this.updateAbilityHud();
+    this.updateSwitchTimer();
+    this.updateRope();
+    this.updateThrowPreview();
+
+    if (this.useGrapple) {
+      const grappleCount = document.getElementById('grapple-count');
+      if (grappleCount) {
+        const left = this.grappleLimit === null ? '∞' : `${this.grappleLimit - this.grapplesUsed}/${this.grappleLimit}`;
+        grappleCount.textContent = `🪝 ${left}`;
+      }
+    }
+
+    // Spin collectibles
+    for (const collectible of this.collectibles) {
+      if (!collectible.collected) collectible.mesh.rotation.y += frameTime * 2;
+    }
   }
 }
@@ -0,0 +1,116 @@
+// Gamepad API input. One controller is used at a time: the first one connected, then the next one still
+// plugged in when it goes away. Pads have no button events, so the state is read once per frame with poll()
+// and pressed()/released() compare it to the previous poll. Buttons are indices in the browser's
+// "standard" mapping - what they do in a level is up to the player's bindings (see bindings.js), menus
+// always use A, B and the d-pad.
+export const GAMEPAD_BUTTONS = {
+  a: 0, b: 1, x: 2, y: 3, lb: 4, rb: 5, lt: 6, rt: 7, back: 8, start: 9, ls: 10, rs: 11,
+  up: 12, down: 13, left: 14, right: 15
+};
+export const GAMEPAD_BUTTON_LABELS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right'
+];
+
+export const STICK_DEADZONE = 0.15;
+export const LOOK_SPEED = 3; // Camera turn rate at full right-stick tilt (rad/s), scaled by look sensitivity
+const LOOK_CURVE = 2; // Response exponent - fine aiming near the centre, fast turns at full tilt
+
+// Radial deadzone, rescaled so the output starts from 0 at its edge, then shaped by `exponent`
+export function applyStickCurve(x, y, deadzone = STICK_DEADZONE, exponent = 1) {
+  const length = Math.hypot(x, y);
+  if (length <= deadzone) return { x: 0, y: 0 };
+  const magnitude = Math.min(1, (length - deadzone) / (1 - deadzone)) ** exponent;
+  return { x: x / length * magnitude, y: y / length * magnitude };
+}
+
+export class GamepadInput {
+  constructor() {
+    this.index = null;
+    this.buttons = [];
+    this.previousButtons = [];
+    this.move = { x: 0, y: 0 }; // Left stick
+    this.look = { x: 0, y: 0 }; // Right stick
+    this.ignoreHeld = false;
+    this.ignoredButtons = new Set(); // Held when ignoreHeldButtons() was called and not let go since
+
+    this.onConnected = (event) => {
+      if (this.index === null) this.connect(event.gamepad);
+    };
+    this.onDisconnected = (event) => {
+      if (event.gamepad.index !== this.index) return;
+      this.index = null;
+      this.findGamepad();
+    };
+    window.addEventListener('gamepadconnected', this.onConnected);
+    window.addEventListener('gamepaddisconnected', this.onDisconnected);
+  }
+
+  getGamepads() {
+    return typeof navigator !== 'undefined' && navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+  }
+
+  // Pads plugged in before this instance existed only show up in getGamepads()
+  findGamepad() {
+    const gamepad = this.getGamepads().find(pad => pad && pad.connected);
+    if (gamepad) this.connect(gamepad);
+  }
+
+  connect(gamepad) {
+    this.index = gamepad.index;
+  }
+
+  // Buttons down at the next poll read as up until they are let go, so the press that closed a menu
+  // doesn't also count as a press in the level
+  ignoreHeldButtons() {
+    this.ignoreHeld = true;
+  }
+
+  // Reads the controller, returns false when none is connected
+  poll() {
+    this.previousButtons = this.buttons;
+    this.buttons = [];
+    if (this.index === null) this.findGamepad();
+
+    const gamepad = this.index === null ? null : this.getGamepads()[this.index];
+    if (!gamepad || !gamepad.connected) {
+      this.move = { x: 0, y: 0 };
+      this.look = { x: 0, y: 0 };
+      return false;
+    }
+
+    this.buttons = gamepad.buttons.map(button => button.pressed);
+    if (this.ignoreHeld) {
+      this.buttons.forEach((held, button) => held && this.ignoredButtons.add(button));
+      this.ignoreHeld = false;
+    }
+    this.ignoredButtons.forEach(button => {
+      if (this.buttons[button]) this.buttons[button] = false;
+      else this.ignoredButtons.delete(button);
+    });
+    this.move = applyStickCurve(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+    this.look = applyStickCurve(gamepad.axes[2] || 0, gamepad.axes[3] || 0, STICK_DEADZONE, LOOK_CURVE);
+    return true;
+  }
+
+  held(button) {
+    return Boolean(this.buttons[button]);
+  }
+
+  pressed(button) {
+    return Boolean(this.buttons[button]) && !this.previousButtons[button];
+  }
+
+  released(button) {
+    return !this.buttons[button] && Boolean(this.previousButtons[button]);
+  }
+
+  // First button that went down since the last poll, -1 if none did
+  getPressedButton() {
+    return this.buttons.findIndex((held, button) => held && !this.previousButtons[button]);
+  }
+
+  destroy() {
+    window.removeEventListener('gamepadconnected', this.onConnected);
+    window.removeEventListener('gamepaddisconnected', this.onDisconnected);
+  }
+}
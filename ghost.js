@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+// Player transform samples per second while recording
+const SAMPLE_RATE = 20;
+// Values stored per frame: time, x, y, z, yaw
+const FRAME_SIZE = 5;
+
+// Records the player's path against the level timer
+export class GhostRecorder {
+  constructor() {
+    this.frames = [];
+    this.lastSampleTime = -Infinity;
+  }
+
+  sample(time, position, yaw, force = false) {
+    if (!force && time - this.lastSampleTime < 1 / SAMPLE_RATE) return;
+    this.lastSampleTime = time;
+    this.frames.push(
+      Math.round(time * 1000) / 1000,
+      Math.round(position.x * 100) / 100,
+      Math.round(position.y * 100) / 100,
+      Math.round(position.z * 100) / 100,
+      Math.round(yaw * 100) / 100
+    );
+  }
+
+  toData(totalTime) {
+    return { version: 1, time: totalTime, frames: this.frames };
+  }
+}
+
+// Replays a recorded run as a translucent capsule in sync with the level timer
+export class Ghost {
+  constructor(scene, data) {
+    this.scene = scene;
+    this.frames = data.frames;
+    this.frameCount = Math.floor(this.frames.length / FRAME_SIZE);
+    this.totalTime = data.time;
+    this.frameIndex = 0;
+    this.nearestIndex = 0;
+
+    const geometry = new THREE.CapsuleGeometry(0.35, 1.15, 4, 12);
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x00ddff,
+      emissive: 0x0088aa,
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false
+    });
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+  }
+
+  frameTime(i) {
+    return this.frames[i * FRAME_SIZE];
+  }
+
+  update(time) {
+    if (this.frameCount === 0) return;
+
+    // Timer only moves forward during a run, so continue searching from the last frame
+    if (time < this.frameTime(this.frameIndex)) this.frameIndex = 0;
+    while (this.frameIndex < this.frameCount - 1 && this.frameTime(this.frameIndex + 1) <= time) {
+      this.frameIndex++;
+    }
+
+    const a = this.frameIndex * FRAME_SIZE;
+    const b = Math.min(this.frameIndex + 1, this.frameCount - 1) * FRAME_SIZE;
+    const span = this.frames[b] - this.frames[a];
+    const t = span > 0 ? THREE.MathUtils.clamp((time - this.frames[a]) / span, 0, 1) : 0;
+
+    // Frames store the capsule top, the mesh is centred on the capsule
+    this.mesh.position.set(
+      THREE.MathUtils.lerp(this.frames[a + 1], this.frames[b + 1], t),
+      THREE.MathUtils.lerp(this.frames[a + 2], this.frames[b + 2], t) - 0.575,
+      THREE.MathUtils.lerp(this.frames[a + 3], this.frames[b + 3], t)
+    );
+    this.mesh.rotation.y = this.frames[a + 4];
+  }
+
+  // Seconds ahead (negative) or behind (positive) the ghost, comparing the player's position
+  // with the closest point the ghost passed through near its last match
+  getDelta(time, position) {
+    if (this.frameCount === 0) return 0;
+
+    const searchStart = Math.max(0, this.nearestIndex - SAMPLE_RATE);
+    const searchEnd = Math.min(this.frameCount, this.nearestIndex + SAMPLE_RATE * 5);
+    let bestDistance = Infinity;
+    for (let i = searchStart; i < searchEnd; i++) {
+      const f = i * FRAME_SIZE;
+      const dx = this.frames[f + 1] - position.x;
+      const dy = this.frames[f + 2] - position.y;
+      const dz = this.frames[f + 3] - position.z;
+      const distance = dx * dx + dy * dy + dz * dz;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        this.nearestIndex = i;
+      }
+    }
+
+    return time - this.frameTime(this.nearestIndex);
+  }
+
+  setVisible(visible) {
+    this.mesh.visible = visible;
+  }
+
+  destroy() {
+    this.scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+}
@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+
+// Graphics quality presets, chosen on the settings screen (settings.graphicsQuality). 'auto' picks Low on
+// phones and High elsewhere. High is what every device got before presets existed.
+//
+//   shadowType     null turns the sun's shadows off, otherwise 'pcf' | 'pcfsoft' | 'vsm'
+//   maxPixelRatio  cap on window.devicePixelRatio (Low renders below the screen's CSS resolution)
+//   antialias      MSAA, fixed when the renderer is created so it only changes with the next level
+//   fogFar         distance where the fog is opaque - the far edge of what is worth drawing
+//   anisotropy     texture filtering of level textures, limited by what the GPU supports
+export const GRAPHICS_PRESETS = {
+  low: {
+    label: 'Low', shadowType: null, shadowMapSize: 512, maxPixelRatio: 0.75, antialias: false,
+    fogFar: 150, anisotropy: 1, toneMapping: THREE.NoToneMapping
+  },
+  medium: {
+    label: 'Medium', shadowType: 'pcf', shadowMapSize: 1024, maxPixelRatio: 1, antialias: false,
+    fogFar: 250, anisotropy: 2, toneMapping: THREE.ACESFilmicToneMapping
+  },
+  high: {
+    label: 'High', shadowType: 'vsm', shadowMapSize: 2048, maxPixelRatio: 2, antialias: true,
+    fogFar: 400, anisotropy: 4, toneMapping: THREE.ACESFilmicToneMapping
+  },
+  ultra: {
+    label: 'Ultra', shadowType: 'vsm', shadowMapSize: 4096, maxPixelRatio: Infinity, antialias: true,
+    fogFar: 600, anisotropy: 16, toneMapping: THREE.ACESFilmicToneMapping
+  }
+};
+
+const SHADOW_TYPES = {
+  pcf: THREE.PCFShadowMap,
+  pcfsoft: THREE.PCFSoftShadowMap,
+  vsm: THREE.VSMShadowMap
+};
+
+export function getGraphicsPreset(quality) {
+  if (GRAPHICS_PRESETS[quality]) return GRAPHICS_PRESETS[quality];
+  return /Mobi|Android/i.test(navigator.userAgent) ? GRAPHICS_PRESETS.low : GRAPHICS_PRESETS.high;
+}
+
+export function getPixelRatio(preset) {
+  return Math.min(window.devicePixelRatio, preset.maxPixelRatio);
+}
+
+export function getAnisotropy(renderer, preset) {
+  return Math.min(preset.anisotropy, renderer.capabilities.getMaxAnisotropy());
+}
+
+// Applies everything but antialiasing to a running level. The sun is the directional light marked with
+// userData.shadowCaster. Pixel ratio is left to DynamicResolution.
+export function applyGraphicsPreset(renderer, scene, preset) {
+  const shadows = preset.shadowType !== null;
+  renderer.shadowMap.enabled = shadows;
+  if (shadows) renderer.shadowMap.type = SHADOW_TYPES[preset.shadowType];
+  renderer.toneMapping = preset.toneMapping;
+  if (scene.fog) scene.fog.far = preset.fogFar;
+
+  const anisotropy = getAnisotropy(renderer, preset);
+  scene.traverse(object => {
+    if (object.isDirectionalLight && object.userData.shadowCaster) {
+      object.castShadow = shadows;
+      if (object.shadow.mapSize.width !== preset.shadowMapSize) {
+        object.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+        // Recreated at the new size on the next render
+        if (object.shadow.map) {
+          object.shadow.map.dispose();
+          object.shadow.map = null;
+        }
+      }
+    }
+
+    // Shadow and tone mapping changes need the shaders rebuilt
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => {
+      if (!material) return;
+      if (material.map && material.map.anisotropy !== anisotropy) {
+        material.map.anisotropy = anisotropy;
+        material.map.needsUpdate = true;
+      }
+      material.needsUpdate = true;
+    });
+  });
+}
+
+const FRAME_BUDGET = 1 / 60;
+const OVER_BUDGET = 1.25; // Smoothed frame time above budget * this lowers the resolution...
+const HEADROOM = 1.1; // ...below budget * this (vsync-limited, so there is room) raises it again
+const LOWER_AFTER = 1; // Seconds the frame time has to stay over budget before a step down
+const RAISE_AFTER = 3; // Slower to step up, so the scale doesn't flip back and forth
+const SCALE_STEP = 0.1;
+const MIN_SCALE = 0.5;
+
+// Optional render scale that follows the frame time (settings.dynamicResolution). The scale multiplies the
+// preset's pixel ratio, so it never goes above what the preset asks for.
+export class DynamicResolution {
+  constructor(renderer, basePixelRatio) {
+    this.renderer = renderer;
+    this.basePixelRatio = basePixelRatio;
+    this.enabled = false;
+    this.scale = 1;
+    this.frameTime = FRAME_BUDGET; // Smoothed
+    this.overBudgetTime = 0;
+    this.headroomTime = 0;
+    this.apply();
+  }
+
+  setBasePixelRatio(ratio) {
+    this.basePixelRatio = ratio;
+    this.apply();
+  }
+
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    this.scale = 1;
+    this.overBudgetTime = 0;
+    this.headroomTime = 0;
+    this.apply();
+  }
+
+  apply() {
+    this.renderer.setPixelRatio(this.basePixelRatio * this.scale);
+  }
+
+  // frameTime: seconds since the last frame
+  update(frameTime) {
+    if (!this.enabled) return;
+    this.frameTime += (frameTime - this.frameTime) * 0.1;
+
+    if (this.frameTime > FRAME_BUDGET * OVER_BUDGET) {
+      this.overBudgetTime += frameTime;
+      this.headroomTime = 0;
+    } else if (this.frameTime < FRAME_BUDGET * HEADROOM) {
+      this.headroomTime += frameTime;
+      this.overBudgetTime = 0;
+    } else {
+      this.overBudgetTime = 0;
+      this.headroomTime = 0;
+    }
+
+    if (this.overBudgetTime > LOWER_AFTER && this.scale > MIN_SCALE) {
+      this.setScale(this.scale - SCALE_STEP);
+    } else if (this.headroomTime > RAISE_AFTER && this.scale < 1) {
+      this.setScale(this.scale + SCALE_STEP);
+    }
+  }
+
+  setScale(scale) {
+    this.scale = THREE.MathUtils.clamp(Math.round(scale / SCALE_STEP) * SCALE_STEP, MIN_SCALE, 1);
+    this.overBudgetTime = 0;
+    this.headroomTime = 0;
+    this.apply();
+  }
+}
@@ -0,0 +1,45 @@
+import { getSave, getProfile, writeSave } from './saveData.js';
+
+// Local records of finished runs, kept in the save (saveData.js). Every level has one leaderboard shared by
+// all profiles on the device - its LEADERBOARD_SIZE fastest runs - and each profile has its own history of
+// runs, newest first. The history drops its oldest runs past RUN_HISTORY_SIZE so the save stays small.
+export const LEADERBOARD_SIZE = 10;
+export const RUN_HISTORY_SIZE = 200;
+
+// run: { time, deaths, ballsUsed, stars }. Returns its place on the leaderboard (from 1), null if it didn't
+// make it.
+export function recordRun(levelNum, run) {
+  const profile = getProfile();
+  const entry = { time: run.time, deaths: run.deaths, ballsUsed: run.ballsUsed, stars: run.stars, date: new Date().toISOString() };
+
+  const history = profile.history[levelNum] || (profile.history[levelNum] = []);
+  history.unshift(entry);
+  history.length = Math.min(history.length, RUN_HISTORY_SIZE);
+
+  const leaderboards = getSave().leaderboards;
+  const board = leaderboards[levelNum] || (leaderboards[levelNum] = []);
+  // Equal times keep the earlier run ahead
+  let index = board.findIndex(other => run.time < other.time);
+  if (index === -1) index = board.length;
+  board.splice(index, 0, { ...entry, profileId: profile.id, profile: profile.name });
+  board.length = Math.min(board.length, LEADERBOARD_SIZE);
+
+  writeSave();
+  return index < LEADERBOARD_SIZE ? index + 1 : null;
+}
+
+// Entries keep the player's name after the profile is deleted
+export function getLeaderboard(levelNum) {
+  return getSave().leaderboards[levelNum] || [];
+}
+
+// stars: only runs with exactly that many stars, null for all of them
+export function getRunHistory(levelNum, stars = null) {
+  const history = getProfile().history[levelNum] || [];
+  return stars === null ? history : history.filter(run => run.stars === stars);
+}
+
+export function clearRunHistory(levelNum) {
+  delete getProfile().history[levelNum];
+  writeSave();
+}
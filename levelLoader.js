@@ -0,0 +1,406 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { OctreeHelper } from 'three/addons/helpers/OctreeHelper.js';
+import { getSurfaceType, toSurfaceType } from './surfaces.js';
+import { MISSION_TYPES } from './missions.js';
+import { ABILITIES } from './abilities.js';
+
+// Gameplay marker nodes in the GLB, recognised by name prefix (e.g. "CHECKPOINT_2", "Kill.001")
+// or by a Blender custom property `marker` ("spawn", "goal", "checkpoint", "kill", "trigger", "collectible")
+const MARKER_NAME_PATTERN = /^(spawn|goal|checkpoint|kill|trigger|collectible)(?=$|[_\d])/i;
+const MARKER_TYPES = ['spawn', 'goal', 'checkpoint', 'kill', 'trigger', 'collectible'];
+// Ball target actions, see Game.runTargetAction()
+const TARGET_ACTIONS = ['open', 'close', 'toggle', 'start', 'message'];
+const DOOR_ACTIONS = ['open', 'close', 'toggle'];
+const DOOR_TYPES = ['door', 'bridge'];
+// Trigger markers say what they do through a custom property `action`, see Game.handleTrigger()
+const TRIGGER_ACTIONS = ['message'];
+
+// Shared loader for every level in the manifest (see levels.js). `anisotropy` is the texture filtering
+// of the graphics preset (see graphics.js). Rejects when the config or the GLB has entries the game
+// can't use.
+export function loadLevel(scene, worldOctree, level, onProgress, anisotropy = 4) {
+  const config = level.config;
+
+  return new Promise((resolve, reject) => {
+    const configProblems = checkLevelConfig(config);
+    if (configProblems.length) {
+      reject(new Error(`Level ${config.levelNumber} config: ${configProblems.join('; ')}`));
+      return;
+    }
+
+    let gltfLoaded = false;
+    let hdrLoaded = false;
+    
+    const checkComplete = () => {
+      if (gltfLoaded && hdrLoaded) {
+        resolve();
+      }
+    };
+    
+    const gltfLoader = new GLTFLoader();
+    gltfLoader.load(level.modelPath, 
+      (gltf) => {
+        gltf.scene.scale.set(config.mapScale.x, config.mapScale.y, config.mapScale.z);
+        gltf.scene.position.set(config.mapPosition.x, config.mapPosition.y, config.mapPosition.z);
+        
+        // Pull marker nodes out before building the octree so they never collide
+        const problems = [];
+        extractMarkers(gltf.scene, scene, problems);
+        
+        scene.add(gltf.scene);
+        worldOctree.fromGraphNode(gltf.scene);
+        
+        gltf.scene.traverse(child => {
+          if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+            
+            // Read before the material (and its name) is replaced
+            const surface = getSurfaceType(child);
+            if (surface) child.userData.surface = surface;
+            else if (child.userData.surface) problems.push(`${child.name} has unknown surface ${child.userData.surface}`);
+            
+            child.material = new THREE.MeshStandardMaterial({
+              map: child.material.map || null,
+              color: child.material.color,
+              roughness: 0.015,
+              metalness: 0.6,
+            });
+            
+            if (child.material.map) child.material.map.anisotropy = anisotropy;
+          }
+        });
+        
+        if (problems.length) {
+          reject(new Error(`Level ${config.levelNumber} model: ${problems.join('; ')}`));
+          return;
+        }
+        
+        const helper = new OctreeHelper(worldOctree);
+        helper.visible = false;
+        scene.add(helper);
+        
+        gltfLoaded = true;
+        if (onProgress) onProgress(0.5);
+        checkComplete();
+      },
+      (xhr) => {
+        if (onProgress && xhr.lengthComputable) {
+          const progress = (xhr.loaded / xhr.total) * 0.5;
+          onProgress(progress);
+        }
+      },
+      (error) => reject(error)
+    );
+    
+    // Create checkered completion platforms for the goal zones in the config
+    const goals = config.goals || [];
+    goals.forEach(goal => scene.add(createGoalPlatform(goal)));
+    
+    // Create translucent checkpoint volumes
+    const checkpoints = config.checkpoints || [];
+    checkpoints.forEach((checkpoint, index) => scene.add(createCheckpointMarker(checkpoint, index)));
+    
+    // Create collectibles
+    const collectibles = config.collectibles || [];
+    collectibles.forEach(collectible => scene.add(createCollectible(collectible.position)));
+    
+    // Create moving platforms - kept out of the world octree, Game collides with them separately
+    const platforms = config.platforms || [];
+    platforms.forEach(platform => scene.add(createMovingPlatform(platform)));
+    
+    // Create grapple anchors - when a level has any, the grappling hook only attaches to them
+    const grapplePoints = config.grapplePoints || [];
+    grapplePoints.forEach(point => scene.add(createGrapplePoint(point.position)));
+    
+    // Create ball targets
+    const targets = config.targets || [];
+    targets.forEach(target => scene.add(createTarget(target)));
+    
+    // Load HDR environment
+    const rgbeLoader = new RGBELoader();
+    rgbeLoader.load(level.hdrPath, 
+      (hdrTexture) => {
+        hdrTexture.mapping = THREE.EquirectangularReflectionMapping;
+        scene.background = hdrTexture;
+        scene.environment = hdrTexture;
+        
+        hdrLoaded = true;
+        if (onProgress) onProgress(1.0);
+        checkComplete();
+      },
+      (xhr) => {
+        if (onProgress && xhr.lengthComputable) {
+          const progress = 0.5 + (xhr.loaded / xhr.total) * 0.5;
+          onProgress(progress);
+        }
+      },
+      (error) => reject(error)
+    );
+  });
+}
+
+// Config entries the game can't use, loadLevel() refuses a level that has any
+function checkLevelConfig(config) {
+  const problems = [];
+  (config.missions || []).forEach(mission => {
+    if (!MISSION_TYPES[mission.type]) problems.push(`mission ${mission.id} has unknown type ${mission.type}`);
+  });
+  Object.keys(config.abilities || {}).forEach(name => {
+    if (!ABILITIES[name]) problems.push(`unknown ability ${name}`);
+  });
+  (config.platforms || []).forEach((platform, index) => {
+    if (platform.surface && !toSurfaceType(platform.surface)) {
+      problems.push(`platform ${platform.id || index + 1} has unknown surface ${platform.surface}`);
+    }
+  });
+  const platforms = config.platforms || [];
+  (config.targets || []).forEach((target, index) => {
+    (target.actions || []).forEach(action => {
+      const platform = platforms.find(p => p.id && p.id === action.platform);
+      if (!TARGET_ACTIONS.includes(action.type)) {
+        problems.push(`target ${index + 1} has unknown action ${action.type}`);
+      } else if (action.type !== 'message' && !platform) {
+        problems.push(`target ${index + 1} refers to unknown platform ${action.platform}`);
+      } else if (platform && DOOR_ACTIONS.includes(action.type) && !DOOR_TYPES.includes(platform.type)) {
+        problems.push(`target ${index + 1} can't ${action.type} platform ${action.platform}, it isn't a door or bridge`);
+      }
+    });
+  });
+  return problems;
+}
+
+function createCheckeredTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+  const squareSize = 16;
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      ctx.fillStyle = (x + y) % 2 === 0 ? '#000000' : '#ffffff';
+      ctx.fillRect(x * squareSize, y * squareSize, squareSize, squareSize);
+    }
+  }
+  const checkeredTexture = new THREE.CanvasTexture(canvas);
+  checkeredTexture.wrapS = THREE.RepeatWrapping;
+  checkeredTexture.wrapT = THREE.RepeatWrapping;
+  return checkeredTexture;
+}
+
+// goal: { position: {x,y,z}, size: {x,y,z}, rotation?: {x,y,z} }
+function createGoalPlatform(goal) {
+  const size = goal.size || { x: 3.55, y: 0.3, z: 3.55 };
+  const platformGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+  
+  const platformMaterial = new THREE.MeshStandardMaterial({
+    map: createCheckeredTexture(),
+    roughness: 0.3,
+    metalness: 0.1
+  });
+  
+  const completionPlatform = new THREE.Mesh(platformGeometry, platformMaterial);
+  completionPlatform.position.set(goal.position.x, goal.position.y, goal.position.z);
+  if (goal.rotation) {
+    completionPlatform.rotation.set(goal.rotation.x || 0, goal.rotation.y || 0, goal.rotation.z || 0);
+  }
+  completionPlatform.castShadow = true;
+  completionPlatform.receiveShadow = true;
+  completionPlatform.userData.isCompletionPlatform = true;
+  
+  return completionPlatform;
+}
+
+function createCheckpointMaterial() {
+  return new THREE.MeshStandardMaterial({
+    color: 0xffffff,
+    emissive: 0x222222,
+    transparent: true,
+    opacity: 0.25,
+    depthWrite: false
+  });
+}
+
+// checkpoint: { position: {x,y,z}, size?: {x,y,z}, rotation?: {x,y,z} } - ordered along the route
+function createCheckpointMarker(checkpoint, index) {
+  const size = checkpoint.size || { x: 3, y: 3, z: 3 };
+  const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+  
+  const marker = new THREE.Mesh(geometry, createCheckpointMaterial());
+  marker.position.set(checkpoint.position.x, checkpoint.position.y, checkpoint.position.z);
+  if (checkpoint.rotation) {
+    marker.rotation.set(checkpoint.rotation.x || 0, checkpoint.rotation.y || 0, checkpoint.rotation.z || 0);
+  }
+  marker.userData.isCheckpoint = true;
+  marker.userData.checkpointIndex = index;
+  
+  return marker;
+}
+
+function createCollectible(position) {
+  const geometry = new THREE.OctahedronGeometry(0.35);
+  const material = new THREE.MeshStandardMaterial({
+    color: 0xffd700,
+    emissive: 0x664400,
+    roughness: 0.2,
+    metalness: 0.8
+  });
+  
+  const collectible = new THREE.Mesh(geometry, material);
+  collectible.position.set(position.x, position.y, position.z);
+  collectible.castShadow = true;
+  collectible.userData.isCollectible = true;
+  
+  return collectible;
+}
+
+// platform: see platforms.js - path platforms start at their first path point
+function createMovingPlatform(platform) {
+  const size = platform.size || { x: 3, y: 0.5, z: 3 };
+  const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+  const material = new THREE.MeshStandardMaterial({
+    color: platform.color ?? 0x8899aa,
+    roughness: 0.4,
+    metalness: 0.3
+  });
+  
+  const mesh = new THREE.Mesh(geometry, material);
+  const position = platform.position || (platform.path && platform.path[0]) || { x: 0, y: 0, z: 0 };
+  mesh.position.set(position.x, position.y, position.z);
+  if (platform.rotation) {
+    mesh.rotation.set(platform.rotation.x || 0, platform.rotation.y || 0, platform.rotation.z || 0);
+  }
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  mesh.userData.isMovingPlatform = true;
+  mesh.userData.platform = platform;
+  if (platform.surface) mesh.userData.surface = toSurfaceType(platform.surface) || 'default';
+  
+  return mesh;
+}
+
+function createGrapplePoint(position) {
+  const geometry = new THREE.TorusGeometry(0.4, 0.08, 8, 24);
+  const material = new THREE.MeshStandardMaterial({
+    color: 0x66ccff,
+    emissive: 0x114466,
+    roughness: 0.3,
+    metalness: 0.7
+  });
+  
+  const point = new THREE.Mesh(geometry, material);
+  point.position.set(position.x, position.y, position.z);
+  point.castShadow = true;
+  point.userData.isGrapplePoint = true;
+  
+  return point;
+}
+
+// target: { position, rotation?, radius?, once?, actions: [...] } - a disc facing +z, see Game.runTargetAction
+function createTarget(target) {
+  const radius = target.radius || 0.6;
+  const geometry = new THREE.CylinderGeometry(radius, radius, 0.1, 24);
+  geometry.rotateX(Math.PI / 2);
+  const material = new THREE.MeshStandardMaterial({
+    color: 0xff3344,
+    emissive: 0x440008,
+    roughness: 0.4,
+    metalness: 0.2
+  });
+  
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.position.set(target.position.x, target.position.y, target.position.z);
+  if (target.rotation) {
+    mesh.rotation.set(target.rotation.x || 0, target.rotation.y || 0, target.rotation.z || 0);
+  }
+  mesh.castShadow = true;
+  mesh.userData.isTarget = true;
+  mesh.userData.target = target;
+  
+  return mesh;
+}
+
+function getMarkerType(node) {
+  if (node.userData.marker) {
+    const type = String(node.userData.marker).toLowerCase();
+    return MARKER_TYPES.includes(type) ? type : null;
+  }
+  const match = node.name.match(MARKER_NAME_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Turns marker nodes into invisible zone meshes parented to the scene (keeping their world
+// transform) and flags them through userData so Game.initLevelZones() can pick them up.
+// Empties become a 2x2x2 box, which matches Blender's default cube empty. Markers the game can't use
+// are described in `problems`.
+function extractMarkers(root, scene, problems) {
+  root.updateMatrixWorld(true);
+  
+  const markers = [];
+  root.traverse(node => {
+    const type = getMarkerType(node);
+    if (type) markers.push({ node, type });
+  });
+  
+  markers.forEach(({ node, type }) => {
+    if (type === 'collectible') {
+      // Collectibles are placed by position only so they all look the same
+      const position = node.getWorldPosition(new THREE.Vector3());
+      removeMarker(node);
+      scene.add(createCollectible(position));
+      return;
+    }
+    if (type === 'trigger' && !TRIGGER_ACTIONS.includes(node.userData.action)) {
+      problems.push(`trigger ${node.name} has unknown action ${node.userData.action}`);
+      removeMarker(node);
+      return;
+    }
+    
+    const geometry = node.isMesh ? node.geometry : new THREE.BoxGeometry(2, 2, 2);
+    const zone = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ visible: false }));
+    node.matrixWorld.decompose(zone.position, zone.quaternion, zone.scale);
+    zone.name = node.name;
+    zone.userData = { ...node.userData };
+    
+    switch (type) {
+      case 'spawn':
+        zone.userData.isSpawnPoint = true;
+        break;
+      case 'goal':
+        zone.userData.isCompletionPlatform = true;
+        break;
+      case 'checkpoint': {
+        // Order comes from the `index` property or the number in the name
+        const nameIndex = parseInt(node.name.replace(/\D+/g, ''), 10);
+        zone.userData.isCheckpoint = true;
+        zone.userData.checkpointIndex = node.userData.index ?? (isNaN(nameIndex) ? 0 : nameIndex);
+        zone.material = createCheckpointMaterial();
+        break;
+      }
+      case 'kill':
+        zone.userData.isKillZone = true;
+        break;
+      case 'trigger':
+        zone.userData.isTrigger = true;
+        break;
+    }
+    
+    removeMarker(node);
+    scene.add(zone);
+  });
+}
+
+// Level geometry modelled under a marker stays in the level, only the marker itself goes
+function removeMarker(node) {
+  [...node.children].forEach(child => node.parent.attach(child));
+  node.removeFromParent();
+}
+
+export function loadPlayerModel(scene, playerMixer, onProgress) {
+  return new Promise((resolve) => {
+    if (onProgress) onProgress(1.0);
+    resolve(null);
+  });
+}
@@ -0,0 +1,28 @@
+import { level1Config } from './level1.js';
+import { level2Config } from './level2.js';
+
+// Level manifest - everything the menus, loader and Game need to know about a level.
+// To add a level: create its config file and add one entry here (order = level number).
+export const levels = [
+  {
+    name: 'THE BEGINNING',
+    modelPath: './models/gltf/level1.glb',
+    hdrPath: './skybox/skybox.hdr',
+    cardImage: 'cardImg/level1.jpg',
+    config: level1Config
+  },
+  {
+    name: 'RISING HEIGHTS',
+    modelPath: './models/gltf/level-2.glb',
+    hdrPath: './skybox/skybox.hdr',
+    cardImage: 'cardImg/level2.jpg',
+    config: level2Config
+  }
+];
+
+// Slots shown in the level selection grid; anything past the manifest is a locked placeholder
+export const LEVEL_GRID_SLOTS = 12;
+
+export function getLevel(levelNumber) {
+  return levels.find(level => level.config.levelNumber === levelNumber) || null;
+}
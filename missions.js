@@ -0,0 +1,73 @@
+// Mission engine - levels list their missions in config.missions, each worth one star unless it sets `stars`.
+//
+//   { id: 'time1', type: 'time', target: 60 }              finish in under `target` seconds
+//   { id: 'deaths', type: 'deaths', target: 5 }            die fewer than `target` times
+//   { id: 'balls', type: 'balls', target: 1 }              throw at most `target` balls
+//   { id: 'gems', type: 'collectibles', target: 5 }        pick up at least `target` collectibles (default: all)
+//   { id: 'clean', type: 'noCheckpoint' }                  finish without respawning at a checkpoint
+//
+// A `description` overrides the generated mission text. The level loader refuses missions of an unknown type.
+
+function formatDuration(seconds) {
+  const minutes = seconds / 60;
+  if (seconds >= 60 && Number.isInteger(minutes * 2)) return `${minutes}min`;
+  return `${seconds}s`;
+}
+
+export const MISSION_TYPES = {
+  time: {
+    check: (mission, run) => run.time < mission.target,
+    describe: (mission) => `Complete under ${formatDuration(mission.target)}`
+  },
+  deaths: {
+    check: (mission, run) => run.deaths < mission.target,
+    describe: (mission) => `Die less than ${mission.target} times`
+  },
+  balls: {
+    check: (mission, run) => run.ballsUsed <= mission.target,
+    describe: (mission) => mission.target === 0
+      ? 'Complete without throwing'
+      : `Throw at most ${mission.target} ${mission.target === 1 ? 'ball' : 'balls'}`
+  },
+  collectibles: {
+    check: (mission, run) => run.collectibles >= (mission.target ?? run.totalCollectibles),
+    describe: (mission) => mission.target === undefined
+      ? 'Collect everything'
+      : `Collect ${mission.target} ${mission.target === 1 ? 'item' : 'items'}`
+  },
+  noCheckpoint: {
+    check: (mission, run) => run.checkpointRespawns === 0,
+    describe: () => 'Complete without checkpoint respawns'
+  }
+};
+
+export function getMissionStars(mission) {
+  return mission.stars ?? 1;
+}
+
+export function describeMission(mission) {
+  if (mission.description) return mission.description;
+  const type = MISSION_TYPES[mission.type];
+  return type ? type.describe(mission) : mission.id;
+}
+
+// run: { time, deaths, ballsUsed, collectibles, totalCollectibles, checkpointRespawns }
+// Returns { [missionId]: boolean }
+export function evaluateMissions(missions = [], run) {
+  const results = {};
+  missions.forEach(mission => {
+    const type = MISSION_TYPES[mission.type];
+    results[mission.id] = type ? type.check(mission, run) : false;
+  });
+  return results;
+}
+
+// Stars a level is worth with every mission completed
+export function getMaxStars(missions = []) {
+  return missions.reduce((stars, mission) => stars + getMissionStars(mission), 0);
+}
+
+// Stars earned for a set of completed missions ({ [missionId]: boolean })
+export function countStars(missions = [], completed = {}) {
+  return missions.reduce((stars, mission) => stars + (completed[mission.id] ? getMissionStars(mission) : 0), 0);
+}
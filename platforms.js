@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+import { Octree } from 'three/addons/math/Octree.js';
+import { Capsule } from 'three/addons/math/Capsule.js';
+
+// Kinematic platforms a level lists in config.platforms. They are kept out of the static world octree:
+// each one has its own octree in local space, and colliders are moved into that space to test against it.
+//
+//   { type: 'elevator' | 'slider', size, path: [{x,y,z}, ...], speed?, wait?, loop? }
+//       moves through the path points (speed in m/s, `wait` seconds at each point), back and forth
+//       unless `loop` is set, in which case it returns from the last point straight to the first
+//   { type: 'rotator', position, size, axis?: 'x' | 'y' | 'z', speed? }   spins at `speed` rad/s
+//   { type: 'falling', position, size, delay?, resetTime? }
+//       drops `delay` seconds after the player steps on it, and is back in place `resetTime` seconds
+//       after it started falling
+//   { type: 'door' | 'bridge', id, position, size, openOffset: {x,y,z}, openTime? }
+//       slides by `openOffset` when opened by a ball target (see Game.runTargetAction), over `openTime` seconds
+//
+// Every platform also takes an optional rotation {x,y,z}, color and surface (see surfaces.js). Elevators,
+// sliders and rotators with `active: false` stand still until a target starts them, `id` is what targets
+// refer to. Poses only depend on the simulation time and the platform's state (getState), so replays
+// reproduce them.
+
+export const PLATFORM_DEFAULTS = {
+  elevator: { speed: 2, wait: 1 },
+  slider: { speed: 3, wait: 0.5 },
+  rotator: { axis: 'y', speed: 0.5 },
+  falling: { delay: 0.5, resetTime: 3 },
+  door: { openTime: 1 },
+  bridge: { openTime: 1.5 }
+};
+
+const FALL_ACCELERATION = 25;
+const SHAKE_AMOUNT = 0.04; // Visual shake of a falling block about to drop
+
+export class MovingPlatform {
+  constructor(mesh, options) {
+    this.mesh = mesh;
+    this.type = PLATFORM_DEFAULTS[options.type] ? options.type : 'elevator';
+    this.options = { ...PLATFORM_DEFAULTS[this.type], ...options };
+    this.id = options.id || null;
+
+    this.homePosition = mesh.position.clone();
+    this.homeQuaternion = mesh.quaternion.clone();
+    this.position = this.homePosition.clone();
+    this.quaternion = this.homeQuaternion.clone();
+    this.previousPosition = this.position.clone();
+    this.previousQuaternion = this.quaternion.clone();
+    this.matrix = new THREE.Matrix4();
+    this.inverseMatrix = new THREE.Matrix4();
+    this.deltaMatrix = new THREE.Matrix4(); // Motion during the last tick
+    this.deltaYaw = 0;
+    this.triggeredAt = null; // Tick a falling block was stepped on
+    this.startedAt = this.options.active === false ? null : 0; // Tick the platform started moving
+    this.opened = false; // Doors and bridges
+    this.openProgress = 0;
+    this.closeAt = null; // Tick a timed door closes again
+
+    // Collision geometry without position and rotation - scale stays baked in
+    const shape = new THREE.Mesh(mesh.geometry);
+    shape.scale.copy(mesh.scale);
+    this.octree = new Octree().fromGraphNode(shape);
+    this.localCapsule = new Capsule();
+    this.localSphere = new THREE.Sphere();
+
+    if (this.type === 'elevator' || this.type === 'slider') this.initPath();
+    this.updateMatrix();
+  }
+
+  // Legs of one full cycle: wait at a point, then travel to the next one
+  initPath() {
+    const points = (this.options.path || []).map(p => new THREE.Vector3(p.x, p.y, p.z));
+    if (points.length === 0) points.push(this.homePosition.clone());
+    if (!this.options.loop) {
+      for (let i = points.length - 2; i > 0; i--) points.push(points[i]);
+    }
+
+    this.legs = points.map((from, i) => {
+      const to = points[(i + 1) % points.length];
+      return { from, to, duration: from.distanceTo(to) / this.options.speed };
+    });
+    this.period = this.legs.reduce((sum, leg) => sum + this.options.wait + leg.duration, 0);
+    this.homePosition.copy(points[0]);
+  }
+
+  updateMatrix() {
+    this.matrix.compose(this.position, this.quaternion, new THREE.Vector3(1, 1, 1));
+    this.inverseMatrix.copy(this.matrix).invert();
+  }
+
+  // Moves to the pose at `tick`, keeping the motion since the previous pose in deltaMatrix
+  update(tick, tickDuration) {
+    this.previousPosition.copy(this.position);
+    this.previousQuaternion.copy(this.quaternion);
+    const previousInverse = this.inverseMatrix.clone();
+
+    if (this.isDoor()) {
+      if (this.closeAt !== null && tick >= this.closeAt) this.setOpen(false);
+      const step = tickDuration / this.options.openTime;
+      this.openProgress = THREE.MathUtils.clamp(this.openProgress + (this.opened ? step : -step), 0, 1);
+    }
+    this.setPose(tick, tickDuration);
+
+    this.updateMatrix();
+    this.deltaMatrix.multiplyMatrices(this.matrix, previousInverse);
+    const spinning = this.type === 'rotator' && this.options.axis === 'y' && this.startedAt !== null;
+    this.deltaYaw = spinning ? this.options.speed * tickDuration : 0;
+  }
+
+  // Jumps to the pose at `tick` without any motion (restoring a saved state)
+  reset(tick, tickDuration) {
+    this.setPose(tick, tickDuration);
+    this.updateMatrix();
+    this.previousPosition.copy(this.position);
+    this.previousQuaternion.copy(this.quaternion);
+    this.deltaMatrix.identity();
+    this.deltaYaw = 0;
+  }
+
+  setPose(tick, tickDuration) {
+    this.position.copy(this.homePosition);
+    this.quaternion.copy(this.homeQuaternion);
+    if (this.startedAt === null) return;
+    const time = (tick - this.startedAt) * tickDuration;
+
+    if (this.isDoor()) {
+      const offset = this.options.openOffset || { x: 0, y: 0, z: 0 };
+      const k = THREE.MathUtils.smoothstep(this.openProgress, 0, 1);
+      this.position.x += offset.x * k;
+      this.position.y += offset.y * k;
+      this.position.z += offset.z * k;
+    } else if (this.type === 'rotator') {
+      const axis = new THREE.Vector3();
+      axis[this.options.axis] = 1;
+      this.quaternion.multiply(new THREE.Quaternion().setFromAxisAngle(axis, this.options.speed * time));
+    } else if (this.type === 'falling') {
+      if (this.triggeredAt === null) return;
+      const fallTime = (tick - this.triggeredAt) * tickDuration - this.options.delay;
+      if (fallTime > this.options.resetTime) {
+        this.triggeredAt = null;
+      } else if (fallTime > 0) {
+        this.position.y -= 0.5 * FALL_ACCELERATION * fallTime * fallTime;
+      }
+    } else {
+      // A path that never moves nor waits (one point, or all in the same place) stays at its start
+      if (this.period === 0) return;
+      let t = time % this.period;
+      for (const leg of this.legs) {
+        if (t < this.options.wait) {
+          this.position.copy(leg.from);
+          return;
+        }
+        t -= this.options.wait;
+        if (t < leg.duration) {
+          const k = THREE.MathUtils.smoothstep(t / leg.duration, 0, 1);
+          this.position.lerpVectors(leg.from, leg.to, k);
+          return;
+        }
+        t -= leg.duration;
+      }
+    }
+  }
+
+  isDoor() {
+    return this.type === 'door' || this.type === 'bridge';
+  }
+
+  // The player stood on it this tick
+  stepOn(tick) {
+    if (this.type === 'falling' && this.triggeredAt === null) this.triggeredAt = tick;
+  }
+
+  // Starts a platform waiting for a target (no effect on moving ones)
+  start(tick) {
+    if (this.startedAt === null) this.startedAt = tick;
+  }
+
+  // Opens or closes a door or bridge, a door opened with `closeAt` (tick) closes again by itself
+  setOpen(opened, closeAt = null) {
+    if (!this.isDoor()) return;
+    this.opened = opened;
+    this.closeAt = opened ? closeAt : null;
+  }
+
+  getState() {
+    return {
+      triggeredAt: this.triggeredAt,
+      startedAt: this.startedAt,
+      opened: this.opened,
+      openProgress: this.openProgress,
+      closeAt: this.closeAt
+    };
+  }
+
+  setState(state) {
+    Object.assign(this, state);
+  }
+
+  // Where a point carried by the platform ends up after the last tick
+  carry(point) {
+    return point.applyMatrix4(this.deltaMatrix);
+  }
+
+  // Velocity of a point carried by the platform during the last tick
+  getPointVelocity(point, tickDuration, target) {
+    return target.copy(point).applyMatrix4(this.deltaMatrix).sub(point).divideScalar(tickDuration);
+  }
+
+  capsuleIntersect(capsule) {
+    this.localCapsule.copy(capsule);
+    this.localCapsule.start.applyMatrix4(this.inverseMatrix);
+    this.localCapsule.end.applyMatrix4(this.inverseMatrix);
+    const result = this.octree.capsuleIntersect(this.localCapsule);
+    if (result) result.normal.applyQuaternion(this.quaternion);
+    return result;
+  }
+
+  sphereIntersect(sphere) {
+    this.localSphere.copy(sphere).applyMatrix4(this.inverseMatrix);
+    const result = this.octree.sphereIntersect(this.localSphere);
+    if (result) result.normal.applyQuaternion(this.quaternion);
+    return result;
+  }
+
+  // Render pose between the previous and the current tick
+  render(alpha, tick) {
+    this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
+    this.mesh.quaternion.slerpQuaternions(this.previousQuaternion, this.quaternion, alpha);
+    if (this.type === 'falling' && this.triggeredAt !== null && this.position.equals(this.homePosition)) {
+      this.mesh.position.x += Math.sin(tick * 1.7) * SHAKE_AMOUNT;
+      this.mesh.position.z += Math.cos(tick * 2.3) * SHAKE_AMOUNT;
+    }
+  }
+}
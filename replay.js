@@ -0,0 +1,167 @@
+// Replays store the per-tick input of a run (see Game.sampleInput). Because the simulation is
+// deterministic, feeding the same input back into a freshly loaded level reproduces the run exactly.
+//
+// File format (JSON, gzip-compressed when the browser supports it):
+//   { version, levelNumber, configHash, tickRate, stepsPerTick, date, time, buttons: [...], axes: [...],
+//     ticks: [[repeatCount, buttonMask, ...axisValues], ...] }
+// Consecutive identical ticks are run-length encoded, and the button/axis names are stored in the
+// file so inputs added later still decode older replays. configHash is hashConfig() of the level's
+// config - a run recorded before the level changed would play out differently, so it isn't played.
+
+import { getLevel } from './levels.js';
+
+export const REPLAY_VERSION = 2;
+// Simulation rate the Game runs at, replays only play back at the rate they were recorded at
+export const TICK_RATE = 60;
+export const STEPS_PER_TICK = 5;
+
+// Boolean inputs, packed into a bitmask
+const BUTTONS = ['forward', 'back', 'left', 'right', 'jump', 'touchJump', 'respawn', 'crouch', 'dash', 'groundPound', 'grapple'];
+// Numeric inputs, stored exactly (null when unused)
+const AXES = ['joystickX', 'joystickY', 'yaw', 'pitch', 'throwCharge'];
+
+// FNV-1a of the config as JSON, as 8 hex digits
+export function hashConfig(config) {
+  const json = JSON.stringify(config);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function encodeInput(input) {
+  let mask = 0;
+  BUTTONS.forEach((name, bit) => {
+    if (input[name]) mask |= 1 << bit;
+  });
+  return [mask, ...AXES.map(name => input[name] ?? null)];
+}
+
+function sameEntry(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+export class ReplayRecorder {
+  constructor() {
+    this.ticks = [];
+    this.tickCount = 0;
+  }
+
+  record(input) {
+    const entry = encodeInput(input);
+    const last = this.ticks[this.ticks.length - 1];
+    // Throws happen on a single tick, so they never get merged into a run
+    if (last && input.throwCharge === null && sameEntry(last.slice(1), entry)) {
+      last[0]++;
+    } else {
+      this.ticks.push([1, ...entry]);
+    }
+    this.tickCount++;
+  }
+
+  toData(meta) {
+    return {
+      version: REPLAY_VERSION,
+      ...meta,
+      date: new Date().toISOString(),
+      buttons: BUTTONS,
+      axes: AXES,
+      ticks: this.ticks.map(entry => entry.slice())
+    };
+  }
+}
+
+// Expands a replay into one input object per tick
+export class ReplayPlayer {
+  constructor(data) {
+    if (!data || data.version !== REPLAY_VERSION || !Array.isArray(data.ticks)) {
+      throw new Error('Unsupported replay version');
+    }
+
+    this.data = data;
+    this.inputs = [];
+    const buttons = data.buttons || BUTTONS;
+    const axes = data.axes || AXES;
+
+    data.ticks.forEach(entry => {
+      const [count, mask, ...values] = entry;
+      const input = { throwCharge: null };
+      buttons.forEach((name, bit) => {
+        input[name] = (mask & (1 << bit)) !== 0;
+      });
+      axes.forEach((name, i) => {
+        input[name] = values[i] ?? (name === 'throwCharge' ? null : 0);
+      });
+      for (let i = 0; i < count; i++) {
+        this.inputs.push(input);
+      }
+    });
+
+    this.totalTicks = this.inputs.length;
+    this.playing = true;
+    this.speed = 1;
+    this.keyframes = new Map(); // tick -> Game state, for fast seeking
+  }
+
+  inputAt(tick) {
+    return this.inputs[tick] || null;
+  }
+}
+
+function isGzip(bytes) {
+  return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+export async function encodeReplay(data) {
+  const json = JSON.stringify(data);
+  if (typeof CompressionStream === 'undefined') {
+    return new Blob([json], { type: 'application/json' });
+  }
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).blob();
+}
+
+export async function decodeReplay(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let json;
+  if (isGzip(bytes)) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    json = await new Response(stream).text();
+  } else {
+    json = new TextDecoder().decode(bytes);
+  }
+
+  const data = JSON.parse(json);
+  // Validate by expanding once - throws on unsupported files
+  new ReplayPlayer(data);
+  // Checked here so a replay that can't be played is turned down before its level loads
+  const level = getLevel(data.levelNumber);
+  if (!level) {
+    throw new Error(`Unknown level ${data.levelNumber}`);
+  }
+  if (data.configHash !== hashConfig(level.config)) {
+    throw new Error('Replay was recorded on an older version of this level');
+  }
+  if (data.tickRate !== TICK_RATE || data.stepsPerTick !== STEPS_PER_TICK) {
+    throw new Error('Replay was recorded with a different simulation rate');
+  }
+  return data;
+}
+
+export async function downloadReplay(data) {
+  const blob = await encodeReplay(data);
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `parkour-level${data.levelNumber}-${Date.now()}.ppreplay`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
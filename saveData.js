@@ -0,0 +1,469 @@
+// Everything the game remembers about its players, kept as one versioned object in localStorage under
+// 'saveData':
+//
+//   version         SAVE_VERSION, older saves are brought up to date by MIGRATIONS when loaded
+//   profiles        [{ id, name, progress, settings, bindings }] in the order they were created
+//   currentProfile  id of the profile being played, picked on the start screen
+//   nextProfileId
+//   leaderboards    { 1: [run and its player, fastest first] } shared by every profile, see leaderboards.js
+//
+// Each profile has its own
+//
+//   progress  { unlockedLevels: [1, 2], completedLevels: [1], levels: { 1: level stats } }
+//   history   { 1: [run, newest first] }
+//   settings  see settings.js - only the structure is checked here, the values against its defaults there
+//   bindings  see bindings.js, same
+//
+// Level stats are { bestTime, bestStars, lastTime, lastDeaths, lastStars, missions: { id: true } }. A run is
+// { time, deaths, ballsUsed, stars, date } and a leaderboard entry adds { profileId, profile } (the name).
+//
+// A save that can't be read is kept under 'saveData.corrupt' and the game starts over, parts that don't
+// match the schema are dropped one by one so a broken entry doesn't cost the rest. Ghosts are too large to
+// rewrite with every change and only matter in this browser, so they keep their own
+// `profile{id}.level{N}Ghost` keys.
+import { LEADERBOARD_SIZE } from './leaderboards.js';
+
+export const SAVE_VERSION = 3;
+export const PROFILE_NAME_MAX = 16;
+
+const SAVE_KEY = 'saveData';
+const CORRUPT_KEY = 'saveData.corrupt';
+const BACKUP_KEY = 'saveData.backup'; // The save before the last import
+const DEFAULT_PROFILE_NAME = 'Player 1';
+const EXPORT_TYPE = 'parkour-save'; // Marks exported files, so other JSON (like replays) isn't taken for one
+
+// MIGRATIONS[n] turns a version n save into version n + 1. Version 0 is the loose keys used before this
+// store existed, gathered by readLegacySave().
+const MIGRATIONS = {
+  0: legacy => {
+    // Sensitivity and the ghost toggle were saved on their own before the settings screen existed
+    const settings = isObject(legacy.settings) ? legacy.settings : {};
+    if (!legacy.settings) {
+      if (legacy.mouseSensitivity) settings.mouseSensitivity = legacy.mouseSensitivity;
+      if (legacy.ghostEnabled === false) settings.ghostEnabled = false;
+    }
+    return {
+      version: 1,
+      progress: {
+        unlockedLevels: legacy.unlockedLevels,
+        completedLevels: legacy.completedLevels,
+        levels: legacy.levelStats
+      },
+      settings,
+      bindings: legacy.controlBindings
+    };
+  },
+  // Profiles - the one player so far becomes the first profile
+  1: data => ({
+    version: 2,
+    profiles: [{ id: 1, name: DEFAULT_PROFILE_NAME, progress: data.progress, settings: data.settings, bindings: data.bindings }],
+    currentProfile: 1,
+    nextProfileId: 2
+  }),
+  // Leaderboards and run history - best times so far start off the leaderboards, without the details
+  // that weren't kept
+  2: data => {
+    const leaderboards = {};
+    const profiles = (Array.isArray(data.profiles) ? data.profiles : []).filter(isObject);
+    profiles.forEach(profile => {
+      profile.history = {};
+      Object.entries(profile.progress?.levels || {}).forEach(([level, stats]) => {
+        if (!isObject(stats)) return;
+        if (!leaderboards[level]) leaderboards[level] = [];
+        leaderboards[level].push({
+          time: stats.bestTime, deaths: null, ballsUsed: null, stars: stats.bestStars, date: null,
+          profileId: profile.id, profile: profile.name
+        });
+      });
+    });
+    Object.values(leaderboards).forEach(board => board.sort((a, b) => a.time - b.time));
+    return { ...data, version: 3, profiles, leaderboards };
+  }
+};
+
+const LEGACY_KEYS = ['unlockedLevels', 'completedLevels', 'settings', 'controlBindings', 'mouseSensitivity', 'ghostEnabled'];
+const LEGACY_STATS_KEY = /^level(\d+)Stats$/;
+const LEGACY_GHOST_KEY = /^level(\d+)Ghost$/;
+
+let save = null;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseStored(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch (err) {
+    console.log('Unreadable save key:', key, err);
+    return null;
+  }
+}
+
+function readLegacySave() {
+  const levelStats = {};
+  Object.keys(localStorage).forEach(key => {
+    const match = key.match(LEGACY_STATS_KEY);
+    if (match) levelStats[match[1]] = parseStored(key);
+  });
+  const legacy = { version: 0, levelStats };
+  LEGACY_KEYS.forEach(key => {
+    legacy[key] = parseStored(key);
+  });
+  return legacy;
+}
+
+function removeLegacyKeys() {
+  Object.keys(localStorage).forEach(key => {
+    if (LEGACY_KEYS.includes(key) || LEGACY_STATS_KEY.test(key)) localStorage.removeItem(key);
+  });
+}
+
+function isLevelList(value) {
+  return Array.isArray(value) && value.every(level => Number.isInteger(level) && level > 0);
+}
+
+function isTime(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function validateLevelStats(stats) {
+  if (!isObject(stats) || !isTime(stats.bestTime)) return null;
+  const missions = {};
+  if (isObject(stats.missions)) {
+    Object.entries(stats.missions).forEach(([id, done]) => {
+      if (typeof done === 'boolean') missions[id] = done;
+    });
+  }
+  return {
+    bestTime: stats.bestTime,
+    bestStars: Number.isInteger(stats.bestStars) ? stats.bestStars : 0,
+    lastTime: isTime(stats.lastTime) ? stats.lastTime : stats.bestTime,
+    lastDeaths: Number.isInteger(stats.lastDeaths) ? stats.lastDeaths : 0,
+    lastStars: Number.isInteger(stats.lastStars) ? stats.lastStars : 0,
+    missions
+  };
+}
+
+// Details that weren't recorded (runs from before leaderboards existed) are null
+function validateRun(run) {
+  if (!isObject(run) || !isTime(run.time)) return null;
+  const count = value => (Number.isInteger(value) && value >= 0 ? value : null);
+  return {
+    time: run.time,
+    deaths: count(run.deaths),
+    ballsUsed: count(run.ballsUsed),
+    stars: count(run.stars) ?? 0,
+    date: typeof run.date === 'string' ? run.date : null
+  };
+}
+
+// Level number -> list of valid items, lists under other keys are dropped
+function validateLevelLists(lists, validateItem, drop, name) {
+  const valid = {};
+  if (!isObject(lists)) {
+    if (lists != null) drop(name);
+    return valid;
+  }
+  Object.entries(lists).forEach(([level, items]) => {
+    if (!/^\d+$/.test(level) || !Array.isArray(items)) {
+      drop(`level ${level} ${name}`);
+      return;
+    }
+    valid[level] = items.map(validateItem).filter(Boolean);
+    if (valid[level].length < items.length) drop(`level ${level} ${name} entries`);
+  });
+  return valid;
+}
+
+function validateLeaderboardEntry(entry) {
+  const run = validateRun(entry);
+  if (!run || typeof entry.profile !== 'string') return null;
+  return { ...run, profileId: Number.isInteger(entry.profileId) ? entry.profileId : null, profile: entry.profile };
+}
+
+function createProfileData(id, name) {
+  return {
+    id,
+    name,
+    progress: { unlockedLevels: [1], completedLevels: [], levels: {} },
+    history: {},
+    settings: {},
+    bindings: {}
+  };
+}
+
+export function createSave() {
+  return {
+    version: SAVE_VERSION,
+    profiles: [createProfileData(1, DEFAULT_PROFILE_NAME)],
+    currentProfile: 1,
+    nextProfileId: 2,
+    leaderboards: {}
+  };
+}
+
+// Builds a valid current-version save out of `data`, keeping whatever parts of it fit the schema
+function validateSave(data) {
+  const valid = { version: SAVE_VERSION, profiles: [] };
+  const profiles = Array.isArray(data.profiles) ? data.profiles : [];
+  const dropped = [];
+
+  profiles.forEach((profile, index) => {
+    const validProfile = validateProfile(profile, dropped);
+    if (!validProfile || valid.profiles.some(other => other.id === validProfile.id)) {
+      dropped.push(`profile ${index + 1}`);
+    } else {
+      valid.profiles.push(validProfile);
+    }
+  });
+  if (!valid.profiles.length) valid.profiles = createSave().profiles;
+
+  const ids = valid.profiles.map(profile => profile.id);
+  valid.currentProfile = ids.includes(data.currentProfile) ? data.currentProfile : ids[0];
+  valid.nextProfileId = Math.max(Number.isInteger(data.nextProfileId) ? data.nextProfileId : 0, ...ids.map(id => id + 1));
+  valid.leaderboards = validateLevelLists(data.leaderboards, validateLeaderboardEntry, part => dropped.push(part), 'leaderboard');
+
+  if (dropped.length) console.log('Dropped invalid save data:', dropped.join(', '));
+  return valid;
+}
+
+function validateProfile(profile, dropped) {
+  if (!isObject(profile) || !Number.isInteger(profile.id) || profile.id < 1) return null;
+  if (typeof profile.name !== 'string' || !profile.name.trim()) return null;
+  const valid = createProfileData(profile.id, profile.name.trim().slice(0, PROFILE_NAME_MAX));
+  const progress = isObject(profile.progress) ? profile.progress : {};
+  const drop = part => dropped.push(`${valid.name} ${part}`);
+
+  if (isLevelList(progress.unlockedLevels)) {
+    valid.progress.unlockedLevels = [...new Set([1, ...progress.unlockedLevels])];
+  } else if (progress.unlockedLevels != null) {
+    drop('unlockedLevels');
+  }
+  if (isLevelList(progress.completedLevels)) {
+    valid.progress.completedLevels = [...new Set(progress.completedLevels)];
+  } else if (progress.completedLevels != null) {
+    drop('completedLevels');
+  }
+  if (isObject(progress.levels)) {
+    Object.entries(progress.levels).forEach(([level, stats]) => {
+      const validStats = /^\d+$/.test(level) ? validateLevelStats(stats) : null;
+      if (validStats) valid.progress.levels[level] = validStats;
+      else drop(`level ${level} stats`);
+    });
+  }
+
+  valid.history = validateLevelLists(profile.history, validateRun, drop, 'history');
+
+  if (isObject(profile.settings)) valid.settings = profile.settings;
+  else if (profile.settings != null) drop('settings');
+  if (isObject(profile.bindings)) valid.bindings = profile.bindings;
+  else if (profile.bindings != null) drop('bindings');
+  return valid;
+}
+
+// Migrates and validates a parsed save, throws if it isn't one this version can read
+function upgradeSave(data) {
+  if (!isObject(data) || !Number.isInteger(data.version) || data.version < 0) {
+    throw new Error('Not a save file');
+  }
+  if (data.version > SAVE_VERSION) {
+    throw new Error('Save is from a newer version of the game');
+  }
+  let upgraded = data;
+  while (upgraded.version < SAVE_VERSION) {
+    upgraded = MIGRATIONS[upgraded.version](upgraded);
+  }
+  return validateSave(upgraded);
+}
+
+function loadSave() {
+  const raw = localStorage.getItem(SAVE_KEY);
+  if (raw === null) {
+    // First run with this store - bring over anything saved the old way
+    save = upgradeSave(readLegacySave());
+    writeSave();
+    removeLegacyKeys();
+    moveLegacyGhosts();
+    return save;
+  }
+
+  try {
+    const data = JSON.parse(raw);
+    save = upgradeSave(data);
+    if (data.version < 2) moveLegacyGhosts();
+  } catch (err) {
+    console.log('Save data could not be loaded, starting over:', err);
+    localStorage.setItem(CORRUPT_KEY, raw);
+    save = createSave();
+  }
+  writeSave();
+  return save;
+}
+
+// The loaded save. Change it in place and call writeSave() to keep the change.
+export function getSave() {
+  return save || loadSave();
+}
+
+// The profile being played, whose progress, settings and bindings are the ones in use
+export function getProfile() {
+  const current = getSave();
+  return current.profiles.find(profile => profile.id === current.currentProfile);
+}
+
+export function getProfiles() {
+  return getSave().profiles;
+}
+
+// Trimmed name, throws if it can't be used
+function checkProfileName(name, exceptId = null) {
+  const trimmed = name.trim().slice(0, PROFILE_NAME_MAX);
+  if (!trimmed) throw new Error('Enter a name');
+  const taken = getProfiles().some(profile => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase());
+  if (taken) throw new Error(`${trimmed} is already taken`);
+  return trimmed;
+}
+
+// `name`, or `name 2`, `name 3`... when that is taken
+function getFreeProfileName(name) {
+  const isTaken = candidate => getProfiles().some(profile => profile.name.toLowerCase() === candidate.toLowerCase());
+  let free = name;
+  for (let n = 2; isTaken(free); n++) {
+    free = `${name.slice(0, PROFILE_NAME_MAX - String(n).length - 1)} ${n}`;
+  }
+  return free;
+}
+
+// Creates a profile with default settings and switches to it
+export function createProfile(name) {
+  const current = getSave();
+  const profile = createProfileData(current.nextProfileId, checkProfileName(name));
+  current.profiles.push(profile);
+  current.nextProfileId++;
+  current.currentProfile = profile.id;
+  writeSave();
+  return profile;
+}
+
+// Leaderboard entries take the new name as well
+export function renameProfile(id, name) {
+  const profile = getProfiles().find(other => other.id === id);
+  profile.name = checkProfileName(name, id);
+  Object.values(getSave().leaderboards).forEach(board => {
+    board.forEach(entry => {
+      if (entry.profileId === id) entry.profile = profile.name;
+    });
+  });
+  writeSave();
+}
+
+// The last profile can't be deleted. Deleting the current one switches to the first left.
+export function deleteProfile(id) {
+  const current = getSave();
+  if (current.profiles.length === 1) throw new Error('The last profile can\'t be deleted');
+  current.profiles = current.profiles.filter(profile => profile.id !== id);
+  if (current.currentProfile === id) current.currentProfile = current.profiles[0].id;
+  removeGhosts(id);
+  writeSave();
+}
+
+export function selectProfile(id) {
+  getSave().currentProfile = id;
+  writeSave();
+}
+
+export function writeSave() {
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(save));
+  } catch (err) {
+    console.log('Save failed:', err);
+  }
+}
+
+// Downloads the save as JSON, to move it to another browser or attach it to a bug report
+export function exportSave() {
+  const data = { type: EXPORT_TYPE, ...getSave(), exportedAt: new Date().toISOString(), userAgent: navigator.userAgent };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `parkour-save-${data.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Adds the profiles of an exported save to the ones here, renamed if their name is taken, and merges its
+// leaderboards into these. Nothing here is replaced, the current profile stays selected. Returns the names
+// the profiles were added under, throws with a readable message if the file can't be used. The save as it
+// was before is kept under 'saveData.backup'.
+export async function importSave(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (err) {
+    throw new Error('Not a save file');
+  }
+  if (!isObject(data) || data.type !== EXPORT_TYPE) throw new Error('Not a save file');
+  const imported = upgradeSave(data);
+  const current = getSave();
+  localStorage.setItem(BACKUP_KEY, JSON.stringify(current));
+
+  const added = {}; // Profile id in the file -> the profile it was added as
+  imported.profiles.forEach(profile => {
+    added[profile.id] = { ...profile, id: current.nextProfileId++, name: getFreeProfileName(profile.name) };
+    current.profiles.push(added[profile.id]);
+  });
+
+  Object.entries(imported.leaderboards).forEach(([level, entries]) => {
+    const board = current.leaderboards[level] || (current.leaderboards[level] = []);
+    entries.forEach(entry => {
+      // Importing the same file again doesn't list its runs twice
+      if (board.some(other => other.time === entry.time && other.date === entry.date)) return;
+      const profile = added[entry.profileId];
+      board.push(profile ? { ...entry, profileId: profile.id, profile: profile.name } : { ...entry, profileId: null });
+    });
+    // Stable, so runs already here stay ahead of imported ones with the same time
+    board.sort((a, b) => a.time - b.time);
+    board.length = Math.min(board.length, LEADERBOARD_SIZE);
+  });
+
+  writeSave();
+  return Object.values(added).map(profile => profile.name);
+}
+
+function getGhostKey(levelNum, profileId = getSave().currentProfile) {
+  return `profile${profileId}.level${levelNum}Ghost`;
+}
+
+// Ghosts saved before profiles existed go to the first profile
+function moveLegacyGhosts() {
+  Object.keys(localStorage).forEach(key => {
+    const match = key.match(LEGACY_GHOST_KEY);
+    if (!match) return;
+    localStorage.setItem(getGhostKey(match[1], 1), localStorage.getItem(key));
+    localStorage.removeItem(key);
+  });
+}
+
+function removeGhosts(profileId) {
+  const pattern = new RegExp(`^profile${profileId}\\.level\\d+Ghost$`);
+  Object.keys(localStorage).forEach(key => {
+    if (pattern.test(key)) localStorage.removeItem(key);
+  });
+}
+
+export function loadGhost(levelNum) {
+  return parseStored(getGhostKey(levelNum));
+}
+
+export function storeGhost(levelNum, ghostData) {
+  try {
+    localStorage.setItem(getGhostKey(levelNum), JSON.stringify(ghostData));
+  } catch (err) {
+    console.log('Ghost save failed:', err);
+  }
+}
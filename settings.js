@@ -0,0 +1,37 @@
+import { getProfile, writeSave } from './saveData.js';
+
+// Player settings from the SETTINGS screen, kept per profile (saveData.js). The page applies them
+// to the audio buses (audio.js), its own panels, and to a running level through Game.applySettings().
+export const SETTINGS_DEFAULTS = {
+  // Audio (0-1) - music, effects and menu sounds are scaled by the master volume
+  masterVolume: 1,
+  musicVolume: 0.5,
+  sfxVolume: 1,
+  uiVolume: 1,
+  // Video
+  graphicsQuality: 'auto', // Preset in graphics.js
+  dynamicResolution: false,
+  fov: 60,
+  showStats: true, // FPS panel
+  // Gameplay
+  mouseSensitivity: 1, // Mouse and gamepad look
+  touchSensitivity: 1,
+  invertY: false,
+  showTimer: true,
+  ghostEnabled: true
+};
+
+// Saved values of the wrong type (hand-edited or imported saves) fall back to the default
+export function loadSettings() {
+  const saved = getProfile().settings;
+  const settings = { ...SETTINGS_DEFAULTS };
+  Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+    if (typeof saved[key] === typeof SETTINGS_DEFAULTS[key]) settings[key] = saved[key];
+  });
+  return settings;
+}
+
+export function saveSettings(settings) {
+  getProfile().settings = { ...settings };
+  writeSave();
+}
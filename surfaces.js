@@ -0,0 +1,48 @@
+// Surface types of level geometry. A mesh gets its type from a `surface` custom property (userData, also
+// looked up on its parents) or from its glTF material name containing the type ("Ice", "mud_dark",
+// "BouncePad.001"). Moving platforms take a `surface` option. Everything else is `default`.
+//
+// friction replaces the ground damping, speedScale scales walking acceleration, jumpScale floor jumps and
+// bounce (when > 0) launches a player touching the surface straight up at that speed. footstep is the
+// surface's looping walk sound in audio.js, with its volume and playback rate.
+export const SURFACES = {
+  default: {
+    friction: 20, speedScale: 1, jumpScale: 1, bounce: 0,
+    footstep: { sound: 'footsteps', volume: 0.5, rate: 1.5 }
+  },
+  ice: {
+    friction: 1.5, speedScale: 0.1, jumpScale: 1, bounce: 0,
+    footstep: { sound: 'footstepsIce', volume: 0.4, rate: 1 }
+  },
+  mud: {
+    friction: 25, speedScale: 0.5, jumpScale: 0.7, bounce: 0,
+    footstep: { sound: 'footstepsMud', volume: 0.8, rate: 1 }
+  },
+  bounce: {
+    friction: 20, speedScale: 1, jumpScale: 1, bounce: 24,
+    footstep: { sound: 'footstepsBounce', volume: 0.5, rate: 1 }
+  }
+};
+
+// Type at the start of the name or after a separator, so names like "Slice" don't count
+const SURFACE_NAME_PATTERN = /(?:^|[^a-z])(ice|mud|bounce)/i;
+
+// The type a `surface` property names ("Ice" is ice), null if there is no such type
+export function toSurfaceType(value) {
+  const type = String(value).toLowerCase();
+  return SURFACES[type] ? type : null;
+}
+
+// Unknown `surface` properties give null, the level loader refuses a level that has them
+export function getSurfaceType(mesh) {
+  for (let node = mesh; node; node = node.parent) {
+    if (node.userData.surface) return toSurfaceType(node.userData.surface);
+  }
+
+  const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+  for (const material of materials) {
+    const match = material && material.name && material.name.match(SURFACE_NAME_PATTERN);
+    if (match) return match[1].toLowerCase();
+  }
+  return null;
+}